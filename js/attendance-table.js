@@ -0,0 +1,294 @@
+class AttendanceTable {
+    constructor({ renderRow, onRename }) {
+        this.renderRow = renderRow; // (visit, number) => <tr> markup; number is the row's position in the filtered list
+        this.onRename = onRename; // (visit, name) => Promise; saves a corrected name on the visit's records
+        this.visits = [];
+        this.query = '';
+        this.country = '';
+        this.from = null; // Check-in time range (Dates), either end optional
+        this.to = null;
+        this.sortKey = 'checkIn';
+        this.sortDirection = 'desc';
+        this.page = 1;
+        this.pageSize = 50;
+        this.editing = null; // { id, draft } while a name is being corrected
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    static get SORTERS() {
+        // Values that are missing (no check-out yet, visit still open) always sort last
+        return {
+            name: visit => ParticipantRegistry.normalizeText(visit.checkIn.name),
+            country: visit => ParticipantRegistry.normalizeText(visit.checkIn.country),
+            checkIn: visit => new Date(visit.checkIn.scan_timestamp).getTime(),
+            checkOut: visit => (visit.checkOut ? new Date(visit.checkOut.scan_timestamp).getTime() : null),
+            duration: visit => (visit.checkOut ? visit.durationMs : null)
+        };
+    }
+
+    initializeElements() {
+        this.tbody = document.getElementById('attendanceTable');
+        this.searchInput = document.getElementById('recordSearchInput');
+        this.countrySelect = document.getElementById('recordCountrySelect');
+        this.fromInput = document.getElementById('recordFromInput');
+        this.toInput = document.getElementById('recordToInput');
+        this.pageSizeSelect = document.getElementById('recordPageSizeSelect');
+        this.pageInfo = document.getElementById('recordPageInfo');
+        this.prevPageBtn = document.getElementById('recordPrevPageBtn');
+        this.nextPageBtn = document.getElementById('recordNextPageBtn');
+        this.sortHeaders = document.querySelectorAll('#attendanceContainer th[data-sort]');
+    }
+
+    bindEvents() {
+        this.searchInput.addEventListener('input', () => this.setFilter({ query: this.searchInput.value }));
+        this.countrySelect.addEventListener('change', () => this.setFilter({ country: this.countrySelect.value }));
+        this.fromInput.addEventListener('change', () => this.setFilter({ from: AttendanceTable.parseDate(this.fromInput.value) }));
+        this.toInput.addEventListener('change', () => this.setFilter({ to: AttendanceTable.parseDate(this.toInput.value) }));
+        document.getElementById('recordClearFiltersBtn').addEventListener('click', () => this.clearFilters());
+        this.pageSizeSelect.addEventListener('change', () => {
+            this.pageSize = parseInt(this.pageSizeSelect.value, 10);
+            this.page = 1;
+            this.render();
+        });
+        this.prevPageBtn.addEventListener('click', () => this.goToPage(this.page - 1));
+        this.nextPageBtn.addEventListener('click', () => this.goToPage(this.page + 1));
+        this.sortHeaders.forEach(header => {
+            header.addEventListener('click', () => this.sortBy(header.dataset.sort));
+        });
+
+        this.tbody.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button) {
+                return;
+            }
+            if (button.dataset.action === 'edit-name') {
+                this.startEdit(button.dataset.id);
+            } else if (button.dataset.action === 'cancel-edit') {
+                this.cancelEdit();
+            }
+        });
+        this.tbody.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const input = event.target.querySelector('input');
+            this.saveEdit(input.value);
+        });
+        this.tbody.addEventListener('input', (event) => {
+            if (this.editing && event.target.matches('.name-edit input')) {
+                this.editing.draft = event.target.value;
+            }
+        });
+        this.tbody.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.editing) {
+                this.cancelEdit();
+            }
+        });
+    }
+
+    static parseDate(value) {
+        const date = value ? new Date(value) : null;
+        return date && !isNaN(date.getTime()) ? date : null;
+    }
+
+    setRecords(records) {
+        this.visits = PresenceLog.buildVisits(records || []);
+        this.renderCountryOptions();
+        this.render();
+    }
+
+    setFilter(changes) {
+        Object.assign(this, changes);
+        this.page = 1;
+        this.render();
+    }
+
+    clearFilters() {
+        this.searchInput.value = '';
+        this.countrySelect.value = '';
+        this.fromInput.value = '';
+        this.toInput.value = '';
+        this.setFilter({ query: '', country: '', from: null, to: null });
+    }
+
+    sortBy(key) {
+        // Clicking the current column flips the direction; a new column starts A-Z / oldest first
+        if (this.sortKey === key) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortKey = key;
+            this.sortDirection = 'asc';
+        }
+        this.page = 1;
+        this.render();
+    }
+
+    goToPage(page) {
+        this.page = page;
+        this.render();
+    }
+
+    static filter(visits, { query = '', country = '', from = null, to = null } = {}) {
+        // Every search word must appear in the name, country or raw badge data
+        const terms = ParticipantRegistry.normalizeText(query).replace(/,/g, ' ').split(' ').filter(Boolean);
+        const countryKey = ParticipantRegistry.normalizeText(country);
+
+        return visits.filter(visit => {
+            const record = visit.checkIn;
+            if (countryKey && ParticipantRegistry.normalizeText(record.country) !== countryKey) {
+                return false;
+            }
+            const time = new Date(record.scan_timestamp);
+            if ((from && time < from) || (to && time > to)) {
+                return false;
+            }
+            if (terms.length === 0) {
+                return true;
+            }
+            const haystack = ParticipantRegistry.normalizeText(`${record.name} ${record.country} ${record.raw_qr_data || ''}`);
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    static sort(visits, key, direction) {
+        const value = AttendanceTable.SORTERS[key];
+        const sign = direction === 'asc' ? 1 : -1;
+        return [...visits].sort((a, b) => {
+            const left = value(a);
+            const right = value(b);
+            if (left === null || right === null) {
+                return (left === null) - (right === null);
+            }
+            if (typeof left === 'string') {
+                return sign * left.localeCompare(right, undefined, { numeric: true });
+            }
+            return sign * (left - right);
+        });
+    }
+
+    renderCountryOptions() {
+        const countries = [...new Set(this.visits.map(visit => visit.checkIn.country).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b));
+        // A country that disappeared (its records were deleted) stops filtering instead of hiding everything
+        if (this.country && !countries.includes(this.country)) {
+            this.country = '';
+        }
+        this.countrySelect.innerHTML = '<option value="">All countries</option>';
+        countries.forEach(country => this.countrySelect.add(new Option(country, country)));
+        this.countrySelect.value = this.country;
+    }
+
+    render() {
+        const matches = AttendanceTable.sort(
+            AttendanceTable.filter(this.visits, this),
+            this.sortKey,
+            this.sortDirection
+        );
+        const pageCount = Math.max(1, Math.ceil(matches.length / this.pageSize));
+        this.page = Math.min(Math.max(1, this.page), pageCount);
+        const offset = (this.page - 1) * this.pageSize;
+        const pageVisits = matches.slice(offset, offset + this.pageSize);
+
+        if (this.visits.length === 0) {
+            this.tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="text-center py-12 text-secondary">
+                        <i class="fas fa-qrcode text-4xl mb-3 text-accent"></i>
+                        <br><span class="text-lg font-medium">No attendance records yet</span>
+                        <br><span class="text-sm text-gray-500 mt-1">Start scanning QR codes to see records here</span>
+                    </td>
+                </tr>
+            `;
+        } else if (matches.length === 0) {
+            this.tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="text-center py-12 text-secondary">
+                        <i class="fas fa-magnifying-glass text-3xl mb-3 text-accent"></i>
+                        <br><span class="font-medium">No records match the current filters</span>
+                    </td>
+                </tr>
+            `;
+        } else {
+            this.tbody.innerHTML = pageVisits.map((visit, index) => this.renderRow(visit, offset + index + 1)).join('');
+        }
+
+        this.renderPager(matches.length, offset, pageVisits.length, pageCount);
+        this.renderSortHeaders();
+
+        // A reload (live sync, a scan) must not throw away a correction that is being typed
+        if (this.editing) {
+            this.openEditor(this.editing.id, this.editing.draft);
+        }
+    }
+
+    renderPager(matchCount, offset, shown, pageCount) {
+        const filtered = matchCount < this.visits.length ? ` (filtered from ${this.visits.length})` : '';
+        this.pageInfo.textContent = matchCount === 0
+            ? (this.visits.length === 0 ? '' : `0 of ${this.visits.length} visits`)
+            : `Showing ${offset + 1}–${offset + shown} of ${matchCount} visits${filtered} · page ${this.page} of ${pageCount}`;
+        this.prevPageBtn.disabled = this.page <= 1;
+        this.nextPageBtn.disabled = this.page >= pageCount;
+    }
+
+    renderSortHeaders() {
+        this.sortHeaders.forEach(header => {
+            const active = header.dataset.sort === this.sortKey;
+            header.classList.toggle('sorted', active);
+            header.setAttribute('aria-sort', active ? (this.sortDirection === 'asc' ? 'ascending' : 'descending') : 'none');
+            const icon = header.querySelector('.sort-icon');
+            if (icon) {
+                icon.className = `sort-icon fas ${active ? (this.sortDirection === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort'}`;
+            }
+        });
+    }
+
+    findVisit(recordId) {
+        return this.visits.find(visit => visit.checkIn.id === recordId) || null;
+    }
+
+    startEdit(recordId) {
+        const visit = this.findVisit(recordId);
+        if (!visit) {
+            return;
+        }
+        if (this.editing && this.editing.id !== recordId) {
+            this.cancelEdit();
+        }
+        this.editing = { id: recordId, draft: visit.checkIn.name };
+        this.openEditor(recordId, visit.checkIn.name);
+    }
+
+    openEditor(recordId, value) {
+        const cell = [...this.tbody.querySelectorAll('[data-name-cell]')].find(candidate => candidate.dataset.nameCell === recordId);
+        if (!cell) {
+            return; // The row is on another page or was filtered out; the draft is kept until it comes back
+        }
+        cell.innerHTML = `
+            <form class="name-edit">
+                <input type="text" aria-label="Corrected name" required>
+                <button type="submit" title="Save name"><i class="fas fa-check"></i></button>
+                <button type="button" data-action="cancel-edit" title="Cancel"><i class="fas fa-xmark"></i></button>
+            </form>
+        `;
+        const input = cell.querySelector('input');
+        input.value = value;
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+    }
+
+    cancelEdit() {
+        this.editing = null;
+        this.render();
+    }
+
+    async saveEdit(value) {
+        const visit = this.editing ? this.findVisit(this.editing.id) : null;
+        const name = value.replace(/\s+/g, ' ').trim();
+        this.editing = null;
+        if (!visit || !name || name === visit.checkIn.name) {
+            this.render();
+            return;
+        }
+        await this.onRename(visit, name);
+    }
+}
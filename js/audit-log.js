@@ -0,0 +1,60 @@
+class AuditLog {
+    constructor({ localStore, deviceId, operatorKey = 'qr_operator_name' }) {
+        this.localStore = localStore; // Entries live in the "audit" IndexedDB store
+        this.deviceId = deviceId;
+        this.operatorKey = operatorKey;
+    }
+
+    static get ACTIONS() {
+        return {
+            create: 'Created',
+            delete: 'Deleted',
+            restore: 'Restored from trash',
+            edit: 'Edited',
+            clear: 'Session cleared',
+            duplicate_override: 'Duplicate override',
+            backup_restore: 'Backup restored'
+        };
+    }
+
+    get operator() {
+        return localStorage.getItem(this.operatorKey) || '';
+    }
+
+    setOperator(name) {
+        const trimmed = name.trim();
+        if (trimmed) {
+            localStorage.setItem(this.operatorKey, trimmed);
+        } else {
+            localStorage.removeItem(this.operatorKey);
+        }
+    }
+
+    async record(action, { record = null, sessionId = null, reason = '', operator = this.operator, details = {} } = {}) {
+        // Append-only: entries are never edited or removed, only added
+        const entry = {
+            id: 'audit_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            timestamp: new Date().toISOString(),
+            action: action,
+            record_id: record ? record.id : null,
+            record_name: record ? record.name : null,
+            session_id: sessionId || (record ? record.session_id || null : null),
+            device_id: this.deviceId,
+            operator: operator,
+            reason: reason,
+            details: details
+        };
+
+        try {
+            await this.localStore.appendAudit(entry);
+        } catch (error) {
+            // Auditing must never block a scan; the failure is at least visible in the console
+            console.error('Error writing audit entry:', error, entry);
+        }
+        return entry;
+    }
+
+    list() {
+        return this.localStore.listAudit();
+    }
+}
@@ -0,0 +1,211 @@
+class BackupManager {
+    constructor({ localStore, sessions }) {
+        this.localStore = localStore; // Also holds the automatic snapshots
+        this.sessions = sessions;
+    }
+
+    static get FORMAT() {
+        return 'islf-attendance-backup';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    static get SETTINGS_KEYS() {
+        // Device-specific state (device id, sync outbox) is deliberately left out
+        return ['qr_participant_registry', 'qr_scan_mode', 'qr_badge_security', 'qr_payload_config'];
+    }
+
+    static withoutSecrets(key, value) {
+        // Anyone holding an HS256 secret can sign valid badges, so it never goes into a backup file.
+        // Ed25519 keys are public keys and are kept
+        if (key !== 'qr_badge_security') {
+            return value;
+        }
+        try {
+            const security = JSON.parse(value);
+            return security.algorithm === 'HS256' ? JSON.stringify({ ...security, key: '' }) : value;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    create(records, reason = '') {
+        const settings = {};
+        BackupManager.SETTINGS_KEYS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) {
+                const safeValue = BackupManager.withoutSecrets(key, value);
+                if (safeValue !== null) {
+                    settings[key] = safeValue;
+                }
+            }
+        });
+
+        return {
+            format: BackupManager.FORMAT,
+            version: BackupManager.VERSION,
+            created_at: new Date().toISOString(),
+            reason: reason,
+            records: records,
+            sessions: {
+                list: this.sessions.sessions,
+                active_id: this.sessions.activeId
+            },
+            settings: settings
+        };
+    }
+
+    static parse(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        return BackupManager.validate(backup);
+    }
+
+    static validate(backup) {
+        if (!backup || backup.format !== BackupManager.FORMAT) {
+            throw new Error('This is not an ISLF attendance backup file');
+        }
+        if (typeof backup.version !== 'number' || backup.version > BackupManager.VERSION) {
+            throw new Error(`Backup version ${backup.version} is newer than this app supports (${BackupManager.VERSION})`);
+        }
+        if (!Array.isArray(backup.records)) {
+            throw new Error('The backup has no records list');
+        }
+        const invalid = backup.records.find(record => !record || !record.id || !record.scan_timestamp);
+        if (invalid) {
+            throw new Error('The backup contains records without an id or scan time');
+        }
+        return backup;
+    }
+
+    async snapshot(records, reason) {
+        // Kept in IndexedDB so a mistaken clear can be undone from Settings → Backup & Restore
+        const snapshot = {
+            id: 'snapshot_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
+            created_at: Date.now(),
+            reason: reason,
+            record_count: records.length,
+            backup: this.create(records, reason)
+        };
+        await this.localStore.addSnapshot(snapshot);
+        console.log(`Snapshot taken (${reason}): ${records.length} records`);
+        return snapshot;
+    }
+
+    findNewRecords(backupRecords, existingRecords, { blockRepeatCheckIns = true } = {}) {
+        // A record is a duplicate when its id exists, or (in check-in only mode) when the
+        // same badge is already checked in to the same session. Records that are only in
+        // the trash here come back out of it instead.
+        const ids = new Set(existingRecords.map(record => record.id));
+        const trashedIds = new Set(existingRecords.filter(record => record.deleted_at).map(record => record.id));
+        const checkIns = new Set(existingRecords
+            .filter(record => !record.deleted_at && !PresenceLog.isCheckOut(record) && record.raw_qr_data)
+            .map(record => `${this.sessions.sessionIdOf(record)}|${record.raw_qr_data}`));
+
+        const fresh = [];
+        const undelete = [];
+        let duplicates = 0;
+        backupRecords.forEach(record => {
+            const badgeKey = `${this.sessions.sessionIdOf(record)}|${record.raw_qr_data}`;
+            const repeatCheckIn = blockRepeatCheckIns && record.raw_qr_data && !PresenceLog.isCheckOut(record) && checkIns.has(badgeKey);
+
+            if (trashedIds.has(record.id) && !record.deleted_at && !repeatCheckIn) {
+                undelete.push(record.id);
+                trashedIds.delete(record.id);
+                if (!PresenceLog.isCheckOut(record) && record.raw_qr_data) {
+                    checkIns.add(badgeKey);
+                }
+                return;
+            }
+            if (ids.has(record.id) || repeatCheckIn) {
+                duplicates++;
+                return;
+            }
+            ids.add(record.id);
+            if (!PresenceLog.isCheckOut(record) && record.raw_qr_data) {
+                checkIns.add(badgeKey);
+            }
+            fresh.push(record);
+        });
+
+        return { records: fresh, undelete: undelete, duplicates: duplicates };
+    }
+
+    restoreSessions(backup, mode) {
+        const backupSessions = (backup.sessions && backup.sessions.list) || [];
+
+        if (mode === 'replace' && backupSessions.length > 0) {
+            this.sessions.sessions = backupSessions;
+            if (!this.sessions.get(SessionManager.DEFAULT_SESSION_ID)) {
+                this.sessions.sessions.unshift({ id: SessionManager.DEFAULT_SESSION_ID, name: 'General', starts_at: '', ends_at: '', created_at: Date.now() });
+            }
+        } else {
+            backupSessions.forEach(session => {
+                if (!this.sessions.get(session.id)) {
+                    this.sessions.sessions.push(session);
+                }
+            });
+        }
+        this.sessions.save();
+
+        const activeId = backup.sessions && backup.sessions.active_id;
+        if (mode === 'replace' && activeId && this.sessions.get(activeId)) {
+            this.sessions.setActive(activeId);
+        } else if (!this.sessions.get(this.sessions.activeId)) {
+            this.sessions.setActive(SessionManager.DEFAULT_SESSION_ID);
+        }
+    }
+
+    restoreSettings(backup, mode) {
+        // Merging keeps this device's settings and only fills in what it doesn't have yet.
+        // Resolves to { restored, needsBadgeKey }; needsBadgeKey means the HS256 secret must be entered again
+        const settings = backup.settings || {};
+        let restored = 0;
+        let needsBadgeKey = false;
+        BackupManager.SETTINGS_KEYS.forEach(key => {
+            if (settings[key] === undefined) {
+                return;
+            }
+            if (mode !== 'replace' && localStorage.getItem(key) !== null) {
+                return;
+            }
+            let value = settings[key];
+            if (key === 'qr_badge_security') {
+                value = BackupManager.withSecretFrom(value, localStorage.getItem(key));
+                needsBadgeKey = BackupManager.missingSecret(value);
+            }
+            localStorage.setItem(key, value);
+            restored++;
+        });
+        return { restored: restored, needsBadgeKey: needsBadgeKey };
+    }
+
+    static withSecretFrom(value, current) {
+        // Backups carry no HS256 secret; keep this device's secret when it verifies the same way
+        try {
+            const security = JSON.parse(value);
+            const existing = current ? JSON.parse(current) : null;
+            if (security.algorithm === 'HS256' && !security.key && existing && existing.algorithm === 'HS256' && existing.key) {
+                return JSON.stringify({ ...security, key: existing.key });
+            }
+        } catch (error) {
+            console.error('Error reading badge security settings from the backup:', error);
+        }
+        return value;
+    }
+
+    static missingSecret(value) {
+        try {
+            const security = JSON.parse(value);
+            return security.algorithm === 'HS256' && !security.key;
+        } catch (error) {
+            return false;
+        }
+    }
+}
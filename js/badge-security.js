@@ -0,0 +1,149 @@
+class BadgeVerifier {
+    constructor(storageKey = 'qr_badge_security') {
+        this.storageKey = storageKey;
+        this.settings = this.load();
+        this.keyPromise = null; // Imported CryptoKey, cached until the settings change
+    }
+
+    static get PREFIX() {
+        return 'ISLF1.';
+    }
+
+    load() {
+        const defaults = { algorithm: 'none', key: '', permissive: true };
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
+        } catch (error) {
+            console.error('Error reading badge security settings:', error);
+            return defaults;
+        }
+    }
+
+    save(settings) {
+        if (settings.algorithm !== 'none' && !settings.key.trim()) {
+            throw new Error('A key is required to verify signed badges');
+        }
+        this.settings = { ...this.settings, ...settings, key: settings.key.trim() };
+        this.keyPromise = null;
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    isSigned(qrData) {
+        return qrData.startsWith(BadgeVerifier.PREFIX);
+    }
+
+    async verify(qrData) {
+        // Signed badge format: ISLF1.<base64url payload>.<base64url signature over "ISLF1.<payload>">
+        if (!this.isSigned(qrData)) {
+            return { status: 'unsigned', payload: qrData };
+        }
+
+        const parts = qrData.split('.');
+        if (parts.length !== 3) {
+            return { status: 'forged', payload: null, reason: 'Malformed signed badge' };
+        }
+
+        let payload;
+        let signature;
+        try {
+            payload = new TextDecoder().decode(BadgeVerifier.base64UrlDecode(parts[1]));
+            signature = BadgeVerifier.base64UrlDecode(parts[2]);
+        } catch (error) {
+            return { status: 'forged', payload: null, reason: 'Badge data is not valid base64' };
+        }
+
+        if (this.settings.algorithm === 'none') {
+            return { status: 'unverified', payload: payload };
+        }
+
+        let key;
+        try {
+            key = await this.getKey();
+        } catch (error) {
+            // A bad or unsupported key is a setup problem, not a forged badge
+            return { status: 'misconfigured', payload: null, reason: error.message };
+        }
+        const signedBytes = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+        const valid = this.settings.algorithm === 'HS256'
+            ? await crypto.subtle.verify('HMAC', key, signature, signedBytes)
+            : await crypto.subtle.verify({ name: 'Ed25519' }, key, signature, signedBytes);
+
+        return valid
+            ? { status: 'verified', payload: payload }
+            : { status: 'forged', payload: payload, reason: 'Signature does not match' };
+    }
+
+    isAccepted(result) {
+        if (result.status === 'verified') {
+            return true;
+        }
+        if (result.status === 'forged' || result.status === 'misconfigured') {
+            return false;
+        }
+        // Unsigned legacy formats and signed badges we cannot check are only allowed in permissive mode
+        return this.settings.permissive;
+    }
+
+    getKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = this.importKey().catch(error => {
+                this.keyPromise = null;
+                throw error;
+            });
+        }
+        return this.keyPromise;
+    }
+
+    async importKey() {
+        if (this.settings.algorithm === 'HS256') {
+            return crypto.subtle.importKey(
+                'raw',
+                new TextEncoder().encode(this.settings.key),
+                { name: 'HMAC', hash: 'SHA-256' },
+                false,
+                ['verify']
+            );
+        }
+
+        // Ed25519 public key as base64/base64url of the raw 32 bytes
+        try {
+            return await crypto.subtle.importKey(
+                'raw',
+                BadgeVerifier.base64UrlDecode(this.settings.key),
+                { name: 'Ed25519' },
+                false,
+                ['verify']
+            );
+        } catch (error) {
+            throw new Error(`Ed25519 key could not be loaded (${error.message}). This browser may not support Ed25519.`);
+        }
+    }
+
+    static async signHMAC(payload, secret) {
+        const key = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(secret),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        const header = `${BadgeVerifier.PREFIX}${BadgeVerifier.base64UrlEncode(new TextEncoder().encode(payload))}`;
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(header));
+        return `${header}.${BadgeVerifier.base64UrlEncode(new Uint8Array(signature))}`;
+    }
+
+    static base64UrlEncode(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static base64UrlDecode(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
@@ -0,0 +1,155 @@
+class BadgeGenerator {
+    constructor() {
+        this.registry = new ParticipantRegistry(); // Same roster the scanner imports
+        this.participants = [];
+        this.badgesPerSheet = 8; // 2 x 4 grid on A4 / Letter
+
+        this.initializeElements();
+        this.bindEvents();
+        this.useRoster();
+    }
+
+    initializeElements() {
+        this.sourceSelect = document.getElementById('sourceSelect');
+        this.participantFileInput = document.getElementById('participantFileInput');
+        this.participantInfo = document.getElementById('participantInfo');
+        this.formatSelect = document.getElementById('formatSelect');
+        this.signCheckbox = document.getElementById('signCheckbox');
+        this.signSecretInput = document.getElementById('signSecretInput');
+        this.generateBtn = document.getElementById('generateBtn');
+        this.printBtn = document.getElementById('printBtn');
+        this.badgeSheets = document.getElementById('badgeSheets');
+        this.status = document.getElementById('status');
+    }
+
+    bindEvents() {
+        this.sourceSelect.addEventListener('change', () => {
+            const fromFile = this.sourceSelect.value === 'file';
+            this.participantFileInput.classList.toggle('hidden', !fromFile);
+            if (fromFile) {
+                this.participants = [];
+                this.participantInfo.textContent = 'Choose a CSV or JSON participant list';
+            } else {
+                this.useRoster();
+            }
+        });
+        this.participantFileInput.addEventListener('change', (event) => this.loadParticipantFile(event.target.files[0]));
+        this.signCheckbox.addEventListener('change', () => {
+            this.signSecretInput.classList.toggle('hidden', !this.signCheckbox.checked);
+        });
+        this.generateBtn.addEventListener('click', () => this.generate());
+        this.printBtn.addEventListener('click', () => window.print());
+    }
+
+    useRoster() {
+        this.participants = this.registry.participants;
+        this.participantInfo.textContent = this.participants.length > 0
+            ? `${this.participants.length} participants from the imported roster`
+            : 'No roster imported yet - import one in the scanner or upload a file';
+    }
+
+    async loadParticipantFile(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            // Parse only, so the scanner's imported roster is left untouched
+            const text = await file.text();
+            this.participants = this.registry.parseText(text, ParticipantRegistry.detectFormat(file.name, text));
+            this.participantInfo.textContent = `${this.participants.length} participants from ${file.name}`;
+        } catch (error) {
+            console.error('Error reading participant file:', error);
+            this.updateStatus(`❌ Error reading participant file: ${error.message}`);
+        }
+    }
+
+    buildPayload(participant) {
+        const lastName = participant.last_name;
+        const firstName = participant.first_name;
+
+        if (this.formatSelect.value === 'json') {
+            return lastName && firstName
+                ? JSON.stringify({ lastName: lastName, firstName: firstName, country: participant.country })
+                : JSON.stringify({ name: participant.name, country: participant.country });
+        }
+
+        // Primary format; roster names are already "LAST NAME, First Name" when split names are missing
+        const name = lastName && firstName ? `${lastName}, ${firstName}` : participant.name;
+        return `${name}, ${participant.country}`;
+    }
+
+    renderQRCode(text) {
+        // Byte mode with UTF-8 so accented names survive the round trip through jsQR
+        qrcode.stringToBytes = qrcode.stringToBytesFuncs['UTF-8'];
+        const qr = qrcode(0, 'M');
+        qr.addData(text, 'Byte');
+        qr.make();
+        return qr.createSvgTag({ cellSize: 4, margin: 2, scalable: true });
+    }
+
+    async generate() {
+        if (this.participants.length === 0) {
+            this.updateStatus('❌ No participants to generate badges for');
+            return;
+        }
+
+        const secret = this.signSecretInput.value.trim();
+        if (this.signCheckbox.checked && !secret) {
+            this.updateStatus('❌ Enter the shared secret to sign badges');
+            return;
+        }
+
+        try {
+            this.updateStatus(`🪪 Generating ${this.participants.length} badges...`);
+
+            const badges = [];
+            for (const participant of this.participants) {
+                const payload = this.buildPayload(participant);
+                const qrText = this.signCheckbox.checked ? await BadgeVerifier.signHMAC(payload, secret) : payload;
+                badges.push(this.renderBadge(participant, qrText));
+            }
+
+            // Split into fixed-size sheets so each prints on its own page
+            const sheets = [];
+            for (let i = 0; i < badges.length; i += this.badgesPerSheet) {
+                sheets.push(`<div class="badge-sheet">${badges.slice(i, i + this.badgesPerSheet).join('')}</div>`);
+            }
+            this.badgeSheets.innerHTML = sheets.join('');
+
+            this.printBtn.disabled = false;
+            this.updateStatus(`✅ ${badges.length} badges on ${sheets.length} sheet${sheets.length === 1 ? '' : 's'} ready to print`);
+        } catch (error) {
+            console.error('Error generating badges:', error);
+            this.updateStatus(`❌ Error generating badges: ${error.message}`);
+        }
+    }
+
+    renderBadge(participant, qrText) {
+        return `
+            <div class="badge">
+                <img src="images/islf-header.png" alt="ISLF 2025" class="badge-logo">
+                <div class="badge-qr">${this.renderQRCode(qrText)}</div>
+                <div class="badge-name">${this.escapeHtml(participant.name)}</div>
+                <div class="badge-country">${this.escapeHtml(participant.country)}</div>
+            </div>
+        `;
+    }
+
+    updateStatus(message) {
+        this.status.textContent = message;
+        console.log('Status:', message);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the generator when the page loads
+let badgeGenerator;
+document.addEventListener('DOMContentLoaded', () => {
+    badgeGenerator = new BadgeGenerator();
+});
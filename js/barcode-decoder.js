@@ -0,0 +1,274 @@
+class BarcodeDecoder {
+    constructor(settings = BarcodeDecoder.DEFAULTS) {
+        this.configure(settings);
+    }
+
+    static get FORMATS() {
+        // Keys are the BarcodeDetector format names; jsQR only reads QR codes
+        return {
+            qr_code: 'QR Code',
+            code_128: 'Code 128',
+            pdf417: 'PDF417',
+            data_matrix: 'Data Matrix'
+        };
+    }
+
+    static get ENGINES() {
+        return {
+            native: 'BarcodeDetector',
+            jsqr: 'jsQR'
+        };
+    }
+
+    static get DEFAULTS() {
+        return {
+            engine: 'auto', // 'auto' (native when available), 'native' or 'jsqr'
+            formats: ['qr_code'],
+            inversion: 'dontInvert' // jsQR inversionAttempts; also applied to the native detector. Inverted passes double the work per frame, so they are opt-in
+        };
+    }
+
+    static loadSettings(storageKey = 'qr_decoder_settings') {
+        const defaults = BarcodeDecoder.DEFAULTS;
+        try {
+            const stored = localStorage.getItem(storageKey);
+            return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
+        } catch (error) {
+            console.error('Error reading decoder settings:', error);
+            return defaults;
+        }
+    }
+
+    static saveSettings(settings, storageKey = 'qr_decoder_settings') {
+        const formats = settings.formats.filter(format => BarcodeDecoder.FORMATS[format]);
+        if (formats.length === 0) {
+            throw new Error('Select at least one barcode type');
+        }
+        const saved = { ...BarcodeDecoder.DEFAULTS, ...settings, formats: formats };
+        localStorage.setItem(storageKey, JSON.stringify(saved));
+        return saved;
+    }
+
+    configure(settings) {
+        this.settings = { ...BarcodeDecoder.DEFAULTS, ...settings };
+        this.detectorPromise = null; // Rebuilt with the new formats on the next frame
+    }
+
+    static async supportedFormats() {
+        // Formats the browser's native detector can read; empty when there is no BarcodeDetector
+        if (typeof BarcodeDetector === 'undefined') {
+            return [];
+        }
+        try {
+            return await BarcodeDetector.getSupportedFormats();
+        } catch (error) {
+            console.log('BarcodeDetector.getSupportedFormats failed:', error.message);
+            return [];
+        }
+    }
+
+    nativeDetector() {
+        if (!this.detectorPromise) {
+            this.detectorPromise = BarcodeDecoder.supportedFormats().then(supported => {
+                const formats = this.settings.formats.filter(format => supported.includes(format));
+                return formats.length > 0 ? { detector: new BarcodeDetector({ formats: formats }), formats: formats } : null;
+            });
+        }
+        return this.detectorPromise;
+    }
+
+    async detect(image) {
+        // image is an ImageData; resolves to [{ data, format, engine, location }]
+        if (this.settings.engine !== 'jsqr') {
+            const native = await this.nativeDetector();
+            if (native) {
+                try {
+                    const codes = await this.detectNative(native.detector, image);
+                    if (codes.length > 0) {
+                        return codes;
+                    }
+                } catch (error) {
+                    // Some platforms expose BarcodeDetector but fail at detect time; stop asking it
+                    console.error('BarcodeDetector failed, falling back to jsQR:', error.message);
+                    this.detectorPromise = Promise.resolve(null);
+                }
+            }
+        }
+
+        if (await this.usesJsQR()) {
+            const code = this.decodeWithJsQR(image, { x: 0, y: 0, width: image.width, height: image.height });
+            if (code) {
+                return [code];
+            }
+        }
+        return [];
+    }
+
+    async usesJsQR() {
+        // jsQR covers QR codes whenever the native detector can't (or isn't allowed to)
+        if (!this.settings.formats.includes('qr_code') || this.settings.engine === 'native') {
+            return false;
+        }
+        if (this.settings.engine === 'jsqr') {
+            return true;
+        }
+        const native = await this.nativeDetector();
+        return !native || !native.formats.includes('qr_code');
+    }
+
+    decodeWithJsQR(image, area) {
+        // Decode one area of the image; the location is mapped back to image coordinates
+        let data = image.data;
+        if (area.width !== image.width || area.height !== image.height) {
+            data = new Uint8ClampedArray(area.width * area.height * 4);
+            for (let row = 0; row < area.height; row++) {
+                const start = ((area.y + row) * image.width + area.x) * 4;
+                data.set(image.data.subarray(start, start + area.width * 4), row * area.width * 4);
+            }
+        }
+
+        const code = jsQR(data, area.width, area.height, { inversionAttempts: this.settings.inversion });
+        if (!code) {
+            return null;
+        }
+        const location = {};
+        Object.keys(code.location).forEach(key => {
+            location[key] = { x: code.location[key].x + area.x, y: code.location[key].y + area.y };
+        });
+        return { data: code.data, format: 'qr_code', engine: 'jsqr', location: location };
+    }
+
+    async detectAll(image, maxCodes = 50) {
+        // Photos can hold several badges. The native detector returns them all at once.
+        const codes = await this.detect(image);
+        if ((codes.length > 0 && codes[0].engine !== 'jsqr') || !(await this.usesJsQR())) {
+            return codes;
+        }
+
+        // jsQR reads one code at a time and misses everything when several are in view, so
+        // search overlapping windows of shrinking size, painting over each code it finds
+        const working = { data: new Uint8ClampedArray(image.data), width: image.width, height: image.height };
+        const found = [];
+        const add = (code) => {
+            BarcodeDecoder.paintOver(working, code.location);
+            if (!found.some(existing => existing.data === code.data)) {
+                found.push(code);
+            }
+        };
+        codes.forEach(add);
+
+        for (const divisions of [1, 2, 3, 4]) {
+            for (const area of BarcodeDecoder.windows(working, divisions)) {
+                // A window can hold more than one code; the attempt cap guards against repaints that miss
+                for (let attempt = 0; attempt < 5 && found.length < maxCodes; attempt++) {
+                    const code = this.decodeWithJsQR(working, area);
+                    if (!code) {
+                        break;
+                    }
+                    add(code);
+                }
+            }
+        }
+        return found;
+    }
+
+    static windows(image, divisions) {
+        // Square windows of 1/divisions of the short side, overlapping by half, so any code
+        // up to half a window wide lies whole inside at least one of them
+        const side = Math.floor(Math.min(image.width, image.height) / divisions);
+        const step = Math.max(1, Math.floor(side / 2));
+        const positions = (length) => {
+            const starts = [];
+            for (let start = 0; start + side < length; start += step) {
+                starts.push(start);
+            }
+            starts.push(length - side); // The last window sits flush with the far edge
+            return starts;
+        };
+
+        const windows = [];
+        positions(image.height).forEach(y => {
+            positions(image.width).forEach(x => {
+                windows.push({ x: x, y: y, width: side, height: side });
+            });
+        });
+        return windows;
+    }
+
+    static paintOver(image, location) {
+        // Fill the code's bounding box (plus its quiet zone) with mid grey, which neither
+        // a normal nor an inverted pass will read as a finder pattern
+        const corners = [location.topLeftCorner, location.topRightCorner, location.bottomRightCorner, location.bottomLeftCorner];
+        const xs = corners.map(point => point.x);
+        const ys = corners.map(point => point.y);
+        const margin = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) * 0.15;
+        const left = Math.max(0, Math.floor(Math.min(...xs) - margin));
+        const right = Math.min(image.width, Math.ceil(Math.max(...xs) + margin));
+        const top = Math.max(0, Math.floor(Math.min(...ys) - margin));
+        const bottom = Math.min(image.height, Math.ceil(Math.max(...ys) + margin));
+
+        for (let y = top; y < bottom; y++) {
+            image.data.fill(128, (y * image.width + left) * 4, (y * image.width + right) * 4);
+        }
+    }
+
+    async detectNative(detector, image) {
+        // The native detector has no inversion option, so inverted passes run on a negative copy
+        const passes = {
+            dontInvert: [false],
+            onlyInvert: [true],
+            attemptBoth: [false, true],
+            invertFirst: [true, false]
+        }[this.settings.inversion] || [false];
+
+        for (const inverted of passes) {
+            const barcodes = await detector.detect(inverted ? BarcodeDecoder.invert(image) : image);
+            if (barcodes.length > 0) {
+                return barcodes.map(barcode => ({
+                    data: barcode.rawValue,
+                    format: barcode.format,
+                    engine: 'native',
+                    location: BarcodeDecoder.cornerLocation(barcode)
+                }));
+            }
+        }
+        return [];
+    }
+
+    static invert(image) {
+        const data = new Uint8ClampedArray(image.data.length);
+        for (let index = 0; index < data.length; index += 4) {
+            data[index] = 255 - image.data[index];
+            data[index + 1] = 255 - image.data[index + 1];
+            data[index + 2] = 255 - image.data[index + 2];
+            data[index + 3] = 255;
+        }
+        return new ImageData(data, image.width, image.height);
+    }
+
+    static cornerLocation(barcode) {
+        // BarcodeDetector lists corners clockwise from the top left; match jsQR's location shape
+        let points = barcode.cornerPoints;
+        if (!points || points.length < 4) {
+            const box = barcode.boundingBox;
+            points = [
+                { x: box.left, y: box.top },
+                { x: box.right, y: box.top },
+                { x: box.right, y: box.bottom },
+                { x: box.left, y: box.bottom }
+            ];
+        }
+        return {
+            topLeftCorner: points[0],
+            topRightCorner: points[1],
+            bottomRightCorner: points[2],
+            bottomLeftCorner: points[3]
+        };
+    }
+
+    static describe(code) {
+        const engine = BarcodeDecoder.ENGINES[code.engine] || code.engine;
+        const format = BarcodeDecoder.FORMATS[code.format] || code.format;
+        return `${format} via ${engine}`;
+    }
+}
@@ -0,0 +1,129 @@
+class BulkWriter {
+    constructor({ endpoint = 'tables/attendance', batchSize = 200, concurrency = 6 } = {}) {
+        this.endpoint = endpoint;
+        this.batchSize = batchSize; // Ids per bulk request
+        this.concurrency = concurrency; // Parallel single-record requests when the server has no bulk endpoint
+        this.bulkOperations = null; // Set of bulk operations the server advertises; unknown until asked
+    }
+
+    static isNetworkError(error) {
+        // fetch rejects with a TypeError when the request never got an answer
+        return error.name === 'TypeError';
+    }
+
+    static async pool(items, limit, worker) {
+        // Runs worker(item) over all items with at most `limit` in flight at once
+        let next = 0;
+        const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (next < items.length) {
+                const item = items[next++];
+                await worker(item);
+            }
+        });
+        await Promise.all(runners);
+    }
+
+    async supports(operation) {
+        // Bulk requests go to the whole collection, which a plain Table API may treat very differently
+        // (a collection DELETE could wipe the table), so they are only sent to servers that advertise them
+        if (this.bulkOperations === null) {
+            try {
+                const response = await fetch(this.endpoint, { method: 'OPTIONS' });
+                const header = response.ok ? response.headers.get('X-Bulk-Operations') || '' : '';
+                this.bulkOperations = new Set(header.split(',').map(name => name.trim()).filter(Boolean));
+            } catch (error) {
+                return false; // Unreachable: the single requests fail the same way and get queued; ask again next time
+            }
+        }
+        return this.bulkOperations.has(operation);
+    }
+
+    update(ids, changes, onProgress) {
+        return this.run(ids, {
+            operation: 'update',
+            bulk: (batch) => this.sendBulk('PATCH', { ids: batch, changes: changes }, 'updated'),
+            single: (id) => fetch(`${this.endpoint}/${encodeURIComponent(id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            }),
+            missingIsDone: false // Updating a record that is gone is a failure...
+        }, onProgress);
+    }
+
+    delete(ids, onProgress) {
+        return this.run(ids, {
+            operation: 'delete',
+            bulk: (batch) => this.sendBulk('DELETE', { ids: batch }, 'deleted'),
+            single: (id) => fetch(`${this.endpoint}/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+            missingIsDone: true // ...deleting one is not
+        }, onProgress);
+    }
+
+    async sendBulk(method, body, doneKey) {
+        // Resolves to { done: [id], missing: [id] }; an answer without both lists confirms nothing
+        const response = await fetch(this.endpoint, {
+            method: method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`API Error: HTTP ${response.status}`);
+        }
+        const answer = await response.json().catch(() => null);
+        if (!answer || !Array.isArray(answer[doneKey]) || !Array.isArray(answer.missing)) {
+            throw new Error('Unexpected bulk response from the server');
+        }
+        return { done: answer[doneKey], missing: answer.missing };
+    }
+
+    async run(ids, { operation, bulk, single, missingIsDone }, onProgress = () => {}) {
+        // Resolves to { succeeded: [id], failed: [{ id, error, offline }] }; never rejects
+        const result = { succeeded: [], failed: [] };
+        const report = () => onProgress(result.succeeded.length + result.failed.length, ids.length);
+        const fail = (id, error) => result.failed.push({ id: id, error: error.message, offline: BulkWriter.isNetworkError(error) });
+
+        let remaining = ids;
+        if (ids.length > 0 && await this.supports(operation)) {
+            while (remaining.length > 0) {
+                const batch = remaining.slice(0, this.batchSize);
+                let answer;
+                try {
+                    answer = await bulk(batch);
+                } catch (error) {
+                    batch.forEach(id => fail(id, error));
+                    remaining = remaining.slice(batch.length);
+                    report();
+                    continue;
+                }
+
+                const done = new Set(answer.done);
+                const missing = new Set(answer.missing);
+                batch.forEach(id => {
+                    if (done.has(id) || (missingIsDone && missing.has(id))) {
+                        result.succeeded.push(id);
+                    } else {
+                        fail(id, new Error(missing.has(id) ? 'Not found on the server' : 'Not confirmed by the server'));
+                    }
+                });
+                remaining = remaining.slice(batch.length);
+                report();
+            }
+        }
+
+        await BulkWriter.pool(remaining, this.concurrency, async (id) => {
+            try {
+                const response = await single(id);
+                if (response.ok || (missingIsDone && response.status === 404)) {
+                    result.succeeded.push(id);
+                } else {
+                    fail(id, new Error(response.status === 404 ? 'Not found on the server' : `API Error: HTTP ${response.status}`));
+                }
+            } catch (error) {
+                fail(id, error);
+            }
+            report();
+        });
+        return result;
+    }
+}
@@ -0,0 +1,184 @@
+class CameraController {
+    constructor({ video, storageKey = 'qr_camera_device' }) {
+        this.video = video;
+        this.storageKey = storageKey;
+        this.deviceId = localStorage.getItem(storageKey) || ''; // Remembered camera; '' means pick by facing mode
+        this.facingMode = 'environment'; // 'environment' (back) or 'user' (front)
+        this.stream = null;
+        this.track = null;
+    }
+
+    get active() {
+        return this.stream !== null;
+    }
+
+    get live() {
+        // False once the track has ended (camera unplugged, taken by another app, OS revoked it)
+        return this.track !== null && this.track.readyState === 'live';
+    }
+
+    static constraints({ deviceId, facingMode }) {
+        // Optimized settings for QR scanning
+        return {
+            video: {
+                ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: facingMode }),
+                width: { ideal: 1920, min: 640 },
+                height: { ideal: 1080, min: 480 },
+                frameRate: { ideal: 30, min: 15 }
+            }
+        };
+    }
+
+    async open({ deviceId = this.deviceId, facingMode = this.facingMode } = {}) {
+        // Try the requested camera, then the same facing mode, then the opposite one
+        // (a remembered USB camera may be unplugged, a laptop may only have a front camera)
+        const opposite = facingMode === 'environment' ? 'user' : 'environment';
+        const attempts = [
+            ...(deviceId ? [{ deviceId: deviceId }] : []),
+            { facingMode: facingMode },
+            { facingMode: opposite }
+        ];
+
+        this.stop();
+        let lastError = null;
+        for (let index = 0; index < attempts.length; index++) {
+            try {
+                this.stream = await navigator.mediaDevices.getUserMedia(CameraController.constraints(attempts[index]));
+                break;
+            } catch (error) {
+                console.error('Error accessing camera:', attempts[index], error);
+                lastError = error;
+            }
+        }
+        if (!this.stream) {
+            throw lastError;
+        }
+
+        this.track = this.stream.getVideoTracks()[0];
+        const settings = this.track.getSettings ? this.track.getSettings() : {};
+        this.facingMode = settings.facingMode || (attempts.find(attempt => attempt.facingMode) || {}).facingMode || this.facingMode;
+
+        this.video.srcObject = this.stream;
+        await new Promise(resolve => {
+            if (this.video.readyState >= this.video.HAVE_METADATA) {
+                resolve();
+            } else {
+                this.video.onloadedmetadata = () => resolve();
+            }
+        });
+        console.log('Video loaded:', this.video.videoWidth, 'x', this.video.videoHeight, settings);
+
+        return {
+            deviceId: settings.deviceId || deviceId || '',
+            fallback: deviceId ? settings.deviceId !== deviceId : settings.facingMode === opposite
+        };
+    }
+
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+        }
+        this.stream = null;
+        this.track = null;
+        this.video.srcObject = null;
+    }
+
+    remember(deviceId) {
+        this.deviceId = deviceId;
+        if (deviceId) {
+            localStorage.setItem(this.storageKey, deviceId);
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    async listCameras() {
+        // Ids and labels are only filled in once the page has camera permission
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput' && device.deviceId)
+            .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+    }
+
+    get activeDeviceId() {
+        const settings = this.track && this.track.getSettings ? this.track.getSettings() : {};
+        return settings.deviceId || '';
+    }
+
+    describe() {
+        if (this.track && this.track.label) {
+            return this.track.label;
+        }
+        return this.facingMode === 'environment' ? 'Back camera' : 'Front camera';
+    }
+
+    capabilities() {
+        // Only what this camera actually supports; most desktop webcams report none of these
+        const capabilities = this.track && this.track.getCapabilities ? this.track.getCapabilities() : {};
+        const settings = this.track && this.track.getSettings ? this.track.getSettings() : {};
+        const range = (name) => (capabilities[name] && capabilities[name].max > capabilities[name].min
+            ? { min: capabilities[name].min, max: capabilities[name].max, step: capabilities[name].step || 0.1, value: settings[name] }
+            : null);
+
+        return {
+            torch: capabilities.torch === true,
+            torchOn: settings.torch === true,
+            zoom: range('zoom'),
+            focusModes: capabilities.focusMode || [],
+            focusMode: settings.focusMode || '',
+            focusDistance: range('focusDistance')
+        };
+    }
+
+    async applySetting(name, value) {
+        if (!this.track) {
+            return;
+        }
+        await this.track.applyConstraints({ advanced: [{ [name]: value }] });
+    }
+
+    frameRegion(frame, margin = 0.25) {
+        // Map the on-screen scan frame to video pixels. The video is drawn with object-fit: cover
+        // and mirrored, so account for both. The margin keeps slightly misplaced badges readable.
+        const videoWidth = this.video.videoWidth;
+        const videoHeight = this.video.videoHeight;
+        const view = this.video.getBoundingClientRect();
+        const bounds = frame.getBoundingClientRect();
+        // Layout size around the on-screen center, so the frame's pulse animation doesn't move the crop
+        const box = {
+            width: frame.offsetWidth,
+            height: frame.offsetHeight,
+            left: bounds.left + bounds.width / 2 - frame.offsetWidth / 2,
+            top: bounds.top + bounds.height / 2 - frame.offsetHeight / 2
+        };
+        if (!videoWidth || !view.width || !box.width) {
+            return null;
+        }
+
+        const scale = Math.max(view.width / videoWidth, view.height / videoHeight);
+        const offsetX = (view.width - videoWidth * scale) / 2;
+        const offsetY = (view.height - videoHeight * scale) / 2;
+        const padX = box.width * margin;
+        const padY = box.height * margin;
+
+        let x = (box.left - view.left - padX - offsetX) / scale;
+        const y = (box.top - view.top - padY - offsetY) / scale;
+        const width = (box.width + padX * 2) / scale;
+        const height = (box.height + padY * 2) / scale;
+        if (getComputedStyle(this.video).transform !== 'none') {
+            x = videoWidth - x - width; // Mirrored preview
+        }
+
+        const left = Math.max(0, Math.round(x));
+        const top = Math.max(0, Math.round(y));
+        return {
+            x: left,
+            y: top,
+            width: Math.min(videoWidth - left, Math.round(width)),
+            height: Math.min(videoHeight - top, Math.round(height))
+        };
+    }
+}
@@ -0,0 +1,259 @@
+class AttendanceDashboard {
+    constructor(registry) {
+        this.registry = registry; // Roster used for the per-country registered totals
+        this.records = [];
+        this.scanMode = 'checkin'; // "On site now" only means something when check-outs are recorded
+        this.session = null; // Active session; its start time and grace period drive the punctuality panel
+        this.charts = {};
+        this.visible = false;
+        this.dirty = true; // Records changed while the dashboard was hidden
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    initializeElements() {
+        this.container = document.getElementById('dashboardContainer');
+        this.intervalSelect = document.getElementById('dashboardIntervalSelect');
+        this.projectorBtn = document.getElementById('projectorBtn');
+        this.arrivedStat = document.getElementById('dashboardArrived');
+        this.registeredStat = document.getElementById('dashboardRegistered');
+        this.onSiteStat = document.getElementById('dashboardOnSite');
+        this.peakStat = document.getElementById('dashboardPeak');
+        this.countryTable = document.getElementById('dashboardCountryTable');
+        this.punctualityPanel = document.getElementById('dashboardPunctuality');
+        this.updatedAt = document.getElementById('dashboardUpdatedAt');
+        this.histogramCanvas = document.getElementById('arrivalsChart');
+        this.cumulativeCanvas = document.getElementById('cumulativeChart');
+        this.countryCanvas = document.getElementById('countryChart');
+    }
+
+    bindEvents() {
+        this.intervalSelect.addEventListener('change', () => this.render());
+        this.projectorBtn.addEventListener('click', () => this.toggleProjectorMode());
+        document.addEventListener('fullscreenchange', () => {
+            this.container.classList.toggle('projector-mode', document.fullscreenElement === this.container);
+        });
+    }
+
+    update(records, scanMode, session = null) {
+        this.records = records;
+        this.scanMode = scanMode;
+        this.session = session;
+        this.dirty = true;
+        if (this.visible) {
+            this.render();
+        }
+    }
+
+    show(visible) {
+        this.visible = visible;
+        if (visible && this.dirty) {
+            this.render();
+        }
+    }
+
+    async toggleProjectorMode() {
+        try {
+            if (document.fullscreenElement) {
+                await document.exitFullscreen();
+            } else {
+                await this.container.requestFullscreen();
+            }
+        } catch (error) {
+            // Fullscreen refused (e.g. iOS Safari) - enlarge in place instead
+            console.log('Fullscreen not available:', error.message);
+            this.container.classList.toggle('projector-mode');
+        }
+    }
+
+    render() {
+        this.dirty = false;
+        const arrivals = AttendanceDashboard.firstArrivals(this.records);
+        const intervalMinutes = parseInt(this.intervalSelect.value, 10);
+        const histogram = AttendanceDashboard.arrivalHistogram(arrivals, intervalMinutes);
+        const countries = AttendanceDashboard.countryBreakdown(arrivals, this.registry.participants);
+
+        this.renderStats(arrivals, histogram);
+        this.renderCountryTable(countries);
+        this.renderPunctuality(arrivals);
+        this.renderCharts(histogram, countries);
+        this.updatedAt.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+    }
+
+    renderStats(arrivals, histogram) {
+        const registered = this.registry.size;
+        const peak = histogram.reduce((best, bucket) => (bucket.count > (best ? best.count : 0) ? bucket : best), null);
+
+        this.arrivedStat.textContent = arrivals.length;
+        this.registeredStat.textContent = registered > 0
+            ? `${Math.round((arrivals.filter(record => record.registration_status === 'registered').length / registered) * 100)}%`
+            : '—';
+        this.onSiteStat.textContent = this.scanMode === 'checkinout' ? PresenceLog.openCheckIns(this.records).size : '—';
+        this.peakStat.textContent = peak
+            ? `${AttendanceDashboard.formatTime(peak.start)} (${peak.count})`
+            : '—';
+    }
+
+    renderCountryTable(countries) {
+        if (countries.length === 0) {
+            this.countryTable.innerHTML = '<tr><td colspan="3" class="text-center py-6 text-gray-500">No arrivals yet</td></tr>';
+            return;
+        }
+
+        this.countryTable.innerHTML = countries.map(row => `
+            <tr class="border-b border-gray-100">
+                <td class="py-2 px-4 font-medium text-dark">${this.escapeHtml(row.country)}</td>
+                <td class="py-2 px-4 text-right">${row.arrived}</td>
+                <td class="py-2 px-4 text-right text-secondary">${row.registered > 0 ? `${row.arrived_registered} / ${row.registered}` : '—'}</td>
+            </tr>
+        `).join('');
+    }
+
+    renderPunctuality(arrivals) {
+        if (!this.session || !this.session.starts_at) {
+            this.punctualityPanel.innerHTML = '<p class="text-sm text-secondary">Give this session a start time to see who arrived early, on time or late.</p>';
+            return;
+        }
+
+        const summary = Punctuality.summarize(this.session, arrivals);
+        const { grace_minutes } = Punctuality.of(this.session);
+        const cells = Object.entries(Punctuality.STATUSES).map(([status, label]) => `
+            <div class="punctuality-count ${status}"><strong>${summary[status]}</strong><span>${label}</span></div>
+        `).join('');
+        const rate = summary.onTimeRate === null ? '—' : `${Math.round(summary.onTimeRate * 100)}%`;
+        const lateness = summary.averageLateMinutes === null ? '' : ` · late arrivals average ${summary.averageLateMinutes} min after the start`;
+
+        this.punctualityPanel.innerHTML = `
+            <div class="punctuality-counts">${cells}</div>
+            <p class="text-sm text-secondary mt-2">${rate} arrived on time (${grace_minutes} min grace)${lateness}</p>
+        `;
+    }
+
+    renderCharts(histogram, countries) {
+        if (typeof Chart === 'undefined') {
+            console.log('Chart.js not loaded - dashboard charts skipped');
+            return;
+        }
+
+        const labels = histogram.map(bucket => AttendanceDashboard.formatTime(bucket.start));
+        let total = 0;
+        const cumulative = histogram.map(bucket => (total += bucket.count));
+        const topCountries = countries.slice(0, 15);
+
+        this.drawChart('arrivals', this.histogramCanvas, 'bar', labels, [
+            { label: 'Arrivals', data: histogram.map(bucket => bucket.count), backgroundColor: '#D89327' }
+        ]);
+        this.drawChart('cumulative', this.cumulativeCanvas, 'line', labels, [
+            { label: 'Checked in', data: cumulative, borderColor: '#2F4E6F', backgroundColor: 'rgba(47, 78, 111, 0.15)', fill: true, tension: 0.2 }
+        ]);
+        this.drawChart('countries', this.countryCanvas, 'bar', topCountries.map(row => row.country), [
+            { label: 'Arrived', data: topCountries.map(row => row.arrived), backgroundColor: '#AF751D' },
+            { label: 'Registered', data: topCountries.map(row => row.registered), backgroundColor: 'rgba(72, 88, 103, 0.35)' }
+        ], { indexAxis: 'y' });
+    }
+
+    drawChart(key, canvas, type, labels, datasets, options = {}) {
+        // Update in place so live refreshes don't flicker on the projector
+        const chart = this.charts[key];
+        if (chart) {
+            chart.data.labels = labels;
+            chart.data.datasets = datasets;
+            chart.update('none');
+            return;
+        }
+
+        this.charts[key] = new Chart(canvas, {
+            type: type,
+            data: { labels: labels, datasets: datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: { legend: { display: datasets.length > 1 } },
+                scales: { x: { beginAtZero: true }, y: { beginAtZero: true, ticks: { precision: 0 } } },
+                ...options
+            }
+        });
+    }
+
+    static firstArrivals(records) {
+        // One arrival per badge: its first check-in, so re-entries don't inflate the counts
+        const first = new Map();
+        records
+            .filter(record => !PresenceLog.isCheckOut(record))
+            .forEach(record => {
+                const key = PresenceLog.badgeKey(record);
+                const existing = first.get(key);
+                if (!existing || new Date(record.scan_timestamp) < new Date(existing.scan_timestamp)) {
+                    first.set(key, record);
+                }
+            });
+        // An unreadable timestamp would make the sort comparator return NaN and leave the list unsorted
+        return [...first.values()]
+            .filter(record => !Number.isNaN(new Date(record.scan_timestamp).getTime()))
+            .sort((a, b) => new Date(a.scan_timestamp) - new Date(b.scan_timestamp));
+    }
+
+    static get MAX_BUCKETS() {
+        return 600; // Two days of 5-minute bars
+    }
+
+    static arrivalHistogram(arrivals, intervalMinutes) {
+        // A record with an unreadable timestamp has no bucket to go in
+        const times = arrivals.map(record => new Date(record.scan_timestamp).getTime()).filter(time => !Number.isNaN(time));
+        if (times.length === 0) {
+            return [];
+        }
+
+        // The chart ends at the latest arrival; anything further back than MAX_BUCKETS bars
+        // (typically a device with a wrong clock) is left out instead of drawing millions of empty bars
+        const size = intervalMinutes * 60000;
+        const end = Math.floor(Math.max(...times) / size) * size;
+        const start = Math.max(Math.floor(Math.min(...times) / size) * size, end - (AttendanceDashboard.MAX_BUCKETS - 1) * size);
+        const buckets = [];
+        for (let time = start; time <= end; time += size) {
+            buckets.push({ start: new Date(time), count: 0 });
+        }
+
+        times.filter(time => time >= start).forEach(time => {
+            buckets[Math.floor((time - start) / size)].count++;
+        });
+        return buckets;
+    }
+
+    static countryBreakdown(arrivals, participants) {
+        // Countries are grouped case- and accent-insensitively, like roster matching
+        const rows = new Map();
+        const rowFor = (country) => {
+            const key = ParticipantRegistry.normalizeText(country || 'Unknown');
+            if (!rows.has(key)) {
+                rows.set(key, { country: country || 'Unknown', arrived: 0, arrived_registered: 0, registered: 0 });
+            }
+            return rows.get(key);
+        };
+
+        participants.forEach(participant => {
+            rowFor(participant.country).registered++;
+        });
+        arrivals.forEach(record => {
+            const row = rowFor(record.country);
+            row.arrived++;
+            if (record.registration_status === 'registered') {
+                row.arrived_registered++;
+            }
+        });
+
+        return [...rows.values()].sort((a, b) => (b.arrived - a.arrived) || (b.registered - a.registered) || a.country.localeCompare(b.country));
+    }
+
+    static formatTime(date) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,105 @@
+// Decodes camera frames and uploaded photos off the main thread. Loaded as a Web Worker by
+// FrameScanner and ImageBatchScanner; also included as a plain script so FrameScanner can
+// decode on the main thread when workers are unavailable (e.g. the page is opened from file://).
+class FrameDecoder {
+    constructor(settings) {
+        this.barcodes = new BarcodeDecoder(settings); // Native BarcodeDetector with jsQR fallback
+        this.canvas = null; // OffscreenCanvas for frames that arrive as ImageBitmaps
+        this.ctx = null;
+        this.previousSample = null; // Coarse luminance grid of the last frame, for motion detection
+    }
+
+    static get SAMPLE_COLUMNS() {
+        return 32;
+    }
+
+    static get SAMPLE_ROWS() {
+        return 24;
+    }
+
+    configure(settings) {
+        this.barcodes.configure(settings);
+    }
+
+    async decode(message) {
+        const image = this.pixelsFrom(message);
+        const motion = this.motionScore(image, message.resetMotion);
+        const codes = await this.barcodes.detect(image);
+        return { codes: codes, motion: motion };
+    }
+
+    async detectAll(message) {
+        // Every code in an uploaded photo; the window search is far too slow for the main thread
+        return { codes: await this.barcodes.detectAll(this.pixelsFrom(message)) };
+    }
+
+    pixelsFrom(message) {
+        if (message.image) {
+            return message.image;
+        }
+        if (message.buffer) {
+            return new ImageData(new Uint8ClampedArray(message.buffer), message.width, message.height);
+        }
+
+        const bitmap = message.bitmap;
+        if (!this.canvas) {
+            this.canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (this.canvas.width !== bitmap.width || this.canvas.height !== bitmap.height) {
+            this.canvas.width = bitmap.width;
+            this.canvas.height = bitmap.height;
+        }
+        this.ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return this.ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+    }
+
+    motionScore(image, reset) {
+        // Mean luminance change (0-1) over a coarse grid; cheap enough to run on every frame
+        const columns = FrameDecoder.SAMPLE_COLUMNS;
+        const rows = FrameDecoder.SAMPLE_ROWS;
+        const sample = new Uint8Array(columns * rows);
+        for (let row = 0; row < rows; row++) {
+            const y = Math.floor(((row + 0.5) / rows) * image.height);
+            for (let column = 0; column < columns; column++) {
+                const x = Math.floor(((column + 0.5) / columns) * image.width);
+                const offset = (y * image.width + x) * 4;
+                sample[row * columns + column] = (image.data[offset] * 77 + image.data[offset + 1] * 150 + image.data[offset + 2] * 29) >> 8;
+            }
+        }
+
+        const previous = reset ? null : this.previousSample;
+        this.previousSample = sample;
+        if (!previous) {
+            return 1; // Nothing to compare with yet - treat as movement so the rate stays high
+        }
+
+        let total = 0;
+        for (let index = 0; index < sample.length; index++) {
+            total += Math.abs(sample[index] - previous[index]);
+        }
+        return total / sample.length / 255;
+    }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    importScripts('https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js', 'barcode-decoder.js');
+    const decoder = new FrameDecoder();
+
+    self.onmessage = async (event) => {
+        const message = event.data;
+        if (message.type === 'configure') {
+            decoder.configure(message.settings);
+            return;
+        }
+
+        const started = performance.now();
+        try {
+            const result = message.type === 'detectAll' ? await decoder.detectAll(message) : await decoder.decode(message);
+            self.postMessage({ id: message.id, ...result, duration: performance.now() - started });
+        } catch (error) {
+            self.postMessage({ id: message.id, error: error.message });
+        }
+    };
+}
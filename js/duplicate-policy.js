@@ -0,0 +1,63 @@
+class DuplicatePolicy {
+    static get POLICIES() {
+        return {
+            block: 'Block repeat scans',
+            reentry: 'Allow again after a re-entry window',
+            daily: 'Allow once per day',
+            flag: 'Allow, but flag repeats'
+        };
+    }
+
+    static get DEFAULTS() {
+        // Sessions created before policies existed keep the original blocking behaviour
+        return { duplicate_policy: 'block', reentry_minutes: 30 };
+    }
+
+    static of(session) {
+        const defaults = DuplicatePolicy.DEFAULTS;
+        return {
+            duplicate_policy: (session && session.duplicate_policy) || defaults.duplicate_policy,
+            reentry_minutes: (session && session.reentry_minutes) || defaults.reentry_minutes
+        };
+    }
+
+    static validate(session) {
+        if (session.duplicate_policy && !DuplicatePolicy.POLICIES[session.duplicate_policy]) {
+            throw new Error(`Unknown duplicate policy "${session.duplicate_policy}"`);
+        }
+        if (session.duplicate_policy === 'reentry' && !(Number.isInteger(session.reentry_minutes) && session.reentry_minutes >= 1)) {
+            throw new Error('Re-entry window must be a whole number of minutes');
+        }
+    }
+
+    static evaluate(session, lastCheckIn, now = new Date()) {
+        // lastCheckIn: the badge's latest check-in in this session (Date), or null for a first scan
+        if (!lastCheckIn) {
+            return { allowed: true, repeat: false };
+        }
+
+        const { duplicate_policy, reentry_minutes } = DuplicatePolicy.of(session);
+        if (duplicate_policy === 'flag') {
+            return { allowed: true, repeat: true, status: 'flagged' };
+        }
+        if (duplicate_policy === 'reentry') {
+            const allowedAt = new Date(lastCheckIn.getTime() + reentry_minutes * 60000);
+            return now >= allowedAt
+                ? { allowed: true, repeat: true, status: 'reentry' }
+                : { allowed: false, repeat: true, message: `Re-entry is allowed from ${allowedAt.toLocaleTimeString()} (${reentry_minutes} min after the last check-in).` };
+        }
+        if (duplicate_policy === 'daily') {
+            return lastCheckIn.toDateString() !== now.toDateString()
+                ? { allowed: true, repeat: true, status: 'reentry' }
+                : { allowed: false, repeat: true, message: 'Already checked in today. This badge can check in again tomorrow.' };
+        }
+        return { allowed: false, repeat: true, message: 'This attendance has already been recorded in this session.' };
+    }
+
+    static describe(session) {
+        const { duplicate_policy, reentry_minutes } = DuplicatePolicy.of(session);
+        return duplicate_policy === 'reentry'
+            ? `Re-entry after ${reentry_minutes} min`
+            : DuplicatePolicy.POLICIES[duplicate_policy];
+    }
+}
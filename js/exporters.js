@@ -0,0 +1,306 @@
+class AttendanceExporter {
+    constructor({ sessions, payloadParser, registry }) {
+        this.sessions = sessions;
+        this.payloadParser = payloadParser;
+        this.registry = registry;
+    }
+
+    static registrationLabel(record) {
+        if (record.registration_status === 'unregistered') {
+            return 'Walk-in / unregistered';
+        }
+        return record.registration_status === 'registered' ? 'Registered' : '';
+    }
+
+    static punctualityCells(session, record) {
+        // [label, minutes from start]; blank for unscheduled sessions
+        const classification = Punctuality.classify(session, record.scan_timestamp);
+        return classification ? [Punctuality.STATUSES[classification.status], classification.minutes] : ['', ''];
+    }
+
+    visits(records) {
+        // Every format works from the same visit list: one row per visit, newest check-in first
+        const visits = PresenceLog.buildVisits(records);
+        visits.sort((a, b) => new Date(b.checkIn.scan_timestamp) - new Date(a.checkIn.scan_timestamp));
+        return visits;
+    }
+
+    fileName(extension) {
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        return `attendance-${this.sessions.fileSlug(this.sessions.active)}-${timestamp}.${extension}`;
+    }
+
+    download(content, type, filename) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        return filename;
+    }
+
+    exportCSV(records) {
+        const session = this.sessions.active;
+        const extraFields = this.payloadParser.extraFields;
+        const quote = (value) => `"${String(value).replace(/"/g, '""')}"`; // Escape quotes in CSV
+        const headers = ['No.', 'Name', 'Country', ...extraFields.map(field => field.label), 'Registration', 'Session', 'Scan Date', 'Scan Time', 'Full Timestamp', 'Check-In', 'Check-Out', 'Duration', 'Punctuality', 'Minutes from Start'];
+        const csvRows = [headers.map(quote).join(',')];
+
+        this.visits(records).forEach((visit, index) => {
+            const record = visit.checkIn;
+            const timestamp = new Date(record.scan_timestamp);
+
+            const row = [
+                index + 1,
+                quote(record.name),
+                quote(record.country),
+                ...extraFields.map(field => quote((record.fields || {})[field.key] || '')),
+                quote(AttendanceExporter.registrationLabel(record)),
+                quote(session.name),
+                quote(timestamp.toLocaleDateString()),
+                quote(timestamp.toLocaleTimeString()),
+                quote(timestamp.toLocaleString()),
+                quote(timestamp.toISOString()),
+                quote(visit.checkOut ? new Date(visit.checkOut.scan_timestamp).toISOString() : ''),
+                quote(PresenceLog.formatDurationClock(visit.durationMs)),
+                ...AttendanceExporter.punctualityCells(session, record).map(quote)
+            ];
+            csvRows.push(row.join(','));
+        });
+
+        return this.download(csvRows.join('\n'), 'text/csv;charset=utf-8;', this.fileName('csv'));
+    }
+
+    exportAuditCSV(entries) {
+        const quote = (value) => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+        const headers = ['Timestamp', 'Action', 'Record ID', 'Name', 'Session', 'Device', 'Operator', 'Reason', 'Details'];
+        const csvRows = [headers.map(quote).join(',')];
+
+        entries.forEach(entry => {
+            const session = entry.session_id ? this.sessions.get(entry.session_id) : null;
+            csvRows.push([
+                quote(entry.timestamp),
+                quote(AuditLog.ACTIONS[entry.action] || entry.action),
+                quote(entry.record_id),
+                quote(entry.record_name),
+                quote(session ? session.name : entry.session_id),
+                quote(entry.device_id),
+                quote(entry.operator),
+                quote(entry.reason),
+                quote(Object.keys(entry.details || {}).length > 0 ? JSON.stringify(entry.details) : '')
+            ].join(','));
+        });
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        return this.download(csvRows.join('\n'), 'text/csv;charset=utf-8;', `audit-log-${timestamp}.csv`);
+    }
+
+    exportXLSX(records) {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('The Excel library (SheetJS) is not loaded - check the network connection');
+        }
+
+        const session = this.sessions.active;
+        const extraFields = this.payloadParser.extraFields;
+        const headers = ['No.', 'Name', 'Country', ...extraFields.map(field => field.label), 'Registration', 'Session', 'Check-In', 'Check-Out', 'Duration', 'Punctuality', 'Minutes from Start'];
+        const visits = this.visits(records);
+
+        // Real Date values become typed date cells, so Excel doesn't depend on the browser's locale
+        const rows = visits.map((visit, index) => [
+            index + 1,
+            visit.checkIn.name,
+            visit.checkIn.country,
+            ...extraFields.map(field => (visit.checkIn.fields || {})[field.key] || ''),
+            AttendanceExporter.registrationLabel(visit.checkIn),
+            session.name,
+            new Date(visit.checkIn.scan_timestamp),
+            visit.checkOut ? new Date(visit.checkOut.scan_timestamp) : null,
+            null,
+            ...AttendanceExporter.punctualityCells(session, visit.checkIn)
+        ]);
+        const sheet = XLSX.utils.aoa_to_sheet([headers, ...rows], { dateNF: 'yyyy-mm-dd hh:mm:ss' });
+
+        // Durations are stored as fractions of a day with an elapsed-time format
+        const durationColumn = headers.indexOf('Duration');
+        visits.forEach((visit, index) => {
+            if (visit.durationMs !== null) {
+                sheet[XLSX.utils.encode_cell({ r: index + 1, c: durationColumn })] = { t: 'n', v: visit.durationMs / 86400000, z: '[h]:mm:ss' };
+            }
+        });
+        sheet['!cols'] = headers.map(header => ({ wch: Math.max(header.length + 2, header === 'Name' ? 28 : 14) }));
+        sheet['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: headers.length - 1 } });
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, 'Attendance');
+        const summaryRows = this.countrySummaryRows(records);
+        const summary = XLSX.utils.aoa_to_sheet(summaryRows);
+        summaryRows.forEach((row, index) => {
+            const rateCell = summary[XLSX.utils.encode_cell({ r: index, c: 4 })];
+            if (index > 0 && rateCell) {
+                rateCell.z = '0%';
+            }
+        });
+        summary['!cols'] = [{ wch: 28 }, { wch: 10 }, { wch: 12 }, { wch: 20 }, { wch: 14 }];
+        XLSX.utils.book_append_sheet(workbook, summary, 'By Country');
+        if (session.starts_at) {
+            const punctuality = XLSX.utils.aoa_to_sheet(this.punctualitySummaryRows(records));
+            punctuality['!cols'] = [{ wch: 28 }, { wch: 12 }];
+            XLSX.utils.book_append_sheet(workbook, punctuality, 'Punctuality');
+        }
+
+        const filename = this.fileName('xlsx');
+        XLSX.writeFile(workbook, filename);
+        return filename;
+    }
+
+    countrySummaryRows(records) {
+        const countries = AttendanceDashboard.countryBreakdown(AttendanceDashboard.firstArrivals(records), this.registry.participants);
+        const hasRoster = this.registry.size > 0;
+        const rows = [hasRoster ? ['Country', 'Arrived', 'Registered', 'Registered Arrived', 'Arrival Rate'] : ['Country', 'Arrived']];
+
+        countries.forEach(row => {
+            rows.push(hasRoster
+                ? [row.country, row.arrived, row.registered, row.arrived_registered, row.registered > 0 ? row.arrived_registered / row.registered : null]
+                : [row.country, row.arrived]);
+        });
+
+        const total = (key) => countries.reduce((sum, row) => sum + row[key], 0);
+        rows.push(hasRoster
+            ? ['Total', total('arrived'), total('registered'), total('arrived_registered'), total('registered') > 0 ? total('arrived_registered') / total('registered') : null]
+            : ['Total', total('arrived')]);
+        return rows;
+    }
+
+    punctualitySummaryRows(records) {
+        const session = this.sessions.active;
+        const summary = Punctuality.summarize(session, AttendanceDashboard.firstArrivals(records));
+        return [
+            ['Punctuality', 'Arrivals'],
+            ...Object.entries(Punctuality.STATUSES).map(([status, label]) => [label, summary[status]]),
+            ['Grace period (min)', Punctuality.of(session).grace_minutes],
+            ['On-time rate', summary.onTimeRate === null ? '' : `${Math.round(summary.onTimeRate * 100)}%`],
+            ['Average minutes late', summary.averageLateMinutes === null ? '' : summary.averageLateMinutes]
+        ];
+    }
+
+    exportJSON(records) {
+        const session = this.sessions.active;
+        const isoTime = (value) => (typeof value === 'number' ? new Date(value).toISOString() : value);
+        const data = {
+            exported_at: new Date().toISOString(),
+            session: {
+                id: session.id,
+                name: session.name,
+                starts_at: session.starts_at || null,
+                ends_at: session.ends_at || null,
+                ...Punctuality.of(session)
+            },
+            record_count: records.length,
+            records: [...records]
+                .sort((a, b) => new Date(a.scan_timestamp) - new Date(b.scan_timestamp))
+                .map(record => {
+                    // Check-ins carry their punctuality, worked out from the session's current schedule
+                    const classification = PresenceLog.isCheckOut(record) ? null : Punctuality.classify(session, record.scan_timestamp);
+                    return {
+                        ...record,
+                        scan_timestamp: new Date(record.scan_timestamp).toISOString(),
+                        created_at: isoTime(record.created_at),
+                        updated_at: isoTime(record.updated_at),
+                        ...(classification ? { punctuality: classification.status, minutes_from_start: classification.minutes } : {})
+                    };
+                })
+        };
+
+        return this.download(JSON.stringify(data, null, 2), 'application/json', this.fileName('json'));
+    }
+
+    printReport(records, container) {
+        const session = this.sessions.active;
+        const visits = this.visits(records).reverse(); // Reports read best in arrival order
+        const arrivals = AttendanceDashboard.firstArrivals(records);
+        const walkIns = arrivals.filter(record => record.registration_status === 'unregistered').length;
+        const countries = this.countrySummaryRows(records);
+        const escape = (text) => {
+            const div = document.createElement('div');
+            div.textContent = text === null || text === undefined ? '' : String(text);
+            return div.innerHTML;
+        };
+
+        const summary = [
+            ['Participants arrived', arrivals.length],
+            ['Visits recorded', visits.length],
+            ['Walk-ins', this.registry.size > 0 ? walkIns : '—'],
+            ['Registered participants', this.registry.size > 0 ? this.registry.size : '—']
+        ];
+        const punctuality = session.starts_at ? this.punctualitySummaryRows(records).slice(1) : [];
+
+        container.innerHTML = `
+            <header class="report-header">
+                <img src="images/islf-header.png" alt="ISLF 2025">
+                <div>
+                    <h1>Attendance Report</h1>
+                    <p>${escape(session.name)} · ${escape(this.sessions.formatSchedule(session))}</p>
+                    <p>Generated ${escape(new Date().toLocaleString())}</p>
+                </div>
+            </header>
+
+            <section class="report-totals">
+                ${summary.map(([label, value]) => `<div><strong>${escape(value)}</strong><span>${escape(label)}</span></div>`).join('')}
+            </section>
+
+            <h2>By Country</h2>
+            <table>
+                <thead><tr>${countries[0].map(header => `<th>${escape(header)}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${countries.slice(1).map(row => `<tr>${row.map((value, index) => `<td>${escape(index === 4 && value !== null ? `${Math.round(value * 100)}%` : value)}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+
+            ${punctuality.length > 0 ? `
+                <h2>Punctuality</h2>
+                <table>
+                    <tbody>
+                        ${punctuality.map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+
+            <h2>Attendance</h2>
+            <table>
+                <thead><tr><th>No.</th><th>Name</th><th>Country</th><th>Registration</th><th>Check-In</th><th>Check-Out</th><th>Duration</th><th>Punctuality</th></tr></thead>
+                <tbody>
+                    ${visits.map((visit, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td>${escape(visit.checkIn.name)}</td>
+                            <td>${escape(visit.checkIn.country)}</td>
+                            <td>${escape(AttendanceExporter.registrationLabel(visit.checkIn))}</td>
+                            <td>${escape(new Date(visit.checkIn.scan_timestamp).toLocaleString())}</td>
+                            <td>${visit.checkOut ? escape(new Date(visit.checkOut.scan_timestamp).toLocaleString()) : ''}</td>
+                            <td>${escape(PresenceLog.formatDuration(visit.durationMs))}</td>
+                            <td>${escape(Punctuality.describe(Punctuality.classify(session, visit.checkIn.scan_timestamp)))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            <footer class="report-signatures">
+                <div><span></span>Prepared by (name &amp; signature)</div>
+                <div><span></span>Verified by (name &amp; signature)</div>
+                <div><span></span>Date</div>
+            </footer>
+        `;
+
+        // Only the report is visible while printing; see the print styles in styles.css
+        document.body.classList.add('printing-report');
+        const cleanUp = () => {
+            document.body.classList.remove('printing-report');
+            window.removeEventListener('afterprint', cleanUp);
+        };
+        window.addEventListener('afterprint', cleanUp);
+        window.print();
+    }
+}
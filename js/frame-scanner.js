@@ -0,0 +1,262 @@
+class FrameScanner {
+    constructor({ video, canvas, onDecode, isActive = () => true, getBaseRegion = () => null, decoderSettings = BarcodeDecoder.DEFAULTS, workerUrl = 'js/decoder-worker.js' }) {
+        this.video = video;
+        this.canvas = canvas; // Used to read pixels when frames can't be sent as ImageBitmaps
+        this.ctx = canvas.getContext('2d', { willReadFrequently: true });
+        this.onDecode = onDecode;
+        this.isActive = isActive; // False while the scanner pauses after a scan
+        this.getBaseRegion = getBaseRegion; // Area to search when no badge was read recently (e.g. the on-screen frame)
+        this.decoderSettings = decoderSettings; // Engine, barcode types and inversion, see BarcodeDecoder
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.mainThreadDecoder = null; // FrameDecoder used when workers are unavailable
+        this.useBitmaps = typeof createImageBitmap === 'function' && typeof OffscreenCanvas !== 'undefined';
+        this.running = false;
+        this.frameHandle = null;
+        this.pending = null; // Frame currently being decoded; new frames are skipped until it returns
+        this.nextId = 0;
+        this.interval = FrameScanner.MIN_INTERVAL;
+        this.lastCapture = 0;
+        this.lastSuccess = 0;
+        this.region = null; // Part of the video to decode (video pixels); null means the base region
+        this.regionKey = '';
+        this.stats = { captured: 0, skipped: 0, decoded: 0, lastDecodeMs: 0, engine: 'none' };
+    }
+
+    static get MIN_INTERVAL() {
+        return 40; // ms between decodes while something is moving or a badge was just read
+    }
+
+    static get MAX_INTERVAL() {
+        return 300; // ms between decodes when the scene has been still for a while
+    }
+
+    static get MAX_SIZE() {
+        return 800; // Longest side of the decoded image, in pixels
+    }
+
+    static get MOTION_THRESHOLD() {
+        return 0.02;
+    }
+
+    static get REGION_HOLD_MS() {
+        return 3000; // How long to keep looking where the last badge was before widening again
+    }
+
+    start() {
+        this.setupDecoder();
+        this.running = true;
+        this.interval = FrameScanner.MIN_INTERVAL;
+        this.resetRegion();
+        this.scheduleNext();
+    }
+
+    resetRegion() {
+        // Called when the camera changes; the old region may not fit the new resolution
+        this.region = null;
+        this.regionKey = '';
+    }
+
+    stop() {
+        this.running = false;
+        this.pending = null;
+        if (this.frameHandle !== null) {
+            if (this.frameHandle.video) {
+                this.video.cancelVideoFrameCallback(this.frameHandle.video);
+            } else {
+                cancelAnimationFrame(this.frameHandle.animation);
+            }
+            this.frameHandle = null;
+        }
+    }
+
+    setupDecoder() {
+        if (this.worker || this.mainThreadDecoder) {
+            return;
+        }
+        try {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (event) => this.handleResult(event.data);
+            this.worker.onerror = (error) => {
+                // Usually the decoder library failed to load inside the worker
+                console.error('Decoder worker failed, decoding on the main thread:', error.message || error);
+                this.useMainThread();
+            };
+            this.worker.postMessage({ type: 'configure', settings: this.decoderSettings });
+            this.stats.engine = 'worker';
+        } catch (error) {
+            console.log('Web Workers unavailable, decoding on the main thread:', error.message);
+            this.useMainThread();
+        }
+    }
+
+    useMainThread() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.mainThreadDecoder = new FrameDecoder(this.decoderSettings);
+        this.pending = null;
+        this.stats.engine = 'main thread';
+    }
+
+    configure(settings) {
+        this.decoderSettings = settings;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'configure', settings: settings });
+        }
+        if (this.mainThreadDecoder) {
+            this.mainThreadDecoder.configure(settings);
+        }
+    }
+
+    scheduleNext() {
+        if (!this.running) {
+            return;
+        }
+        // Prefer one callback per decoded video frame; rAF is the fallback (Firefox, older Safari)
+        if (typeof this.video.requestVideoFrameCallback === 'function') {
+            this.frameHandle = { video: this.video.requestVideoFrameCallback((now) => this.onFrame(now)) };
+        } else {
+            this.frameHandle = { animation: requestAnimationFrame((now) => this.onFrame(now)) };
+        }
+    }
+
+    onFrame(now) {
+        if (!this.running) {
+            return;
+        }
+        this.scheduleNext();
+
+        if (!this.isActive() || this.video.readyState !== this.video.HAVE_ENOUGH_DATA) {
+            return;
+        }
+        if (this.pending || now - this.lastCapture < this.interval) {
+            this.stats.skipped++;
+            return;
+        }
+
+        this.lastCapture = now;
+        this.capture();
+    }
+
+    capture() {
+        const region = this.region || this.getBaseRegion() || { x: 0, y: 0, width: this.video.videoWidth, height: this.video.videoHeight };
+        const scale = Math.min(FrameScanner.MAX_SIZE / region.width, FrameScanner.MAX_SIZE / region.height, 1);
+        const width = Math.max(1, Math.round(region.width * scale));
+        const height = Math.max(1, Math.round(region.height * scale));
+        const key = `${region.x},${region.y},${region.width},${region.height}`;
+        const message = {
+            type: 'frame',
+            id: ++this.nextId,
+            width: width,
+            height: height,
+            resetMotion: key !== this.regionKey // Motion is only comparable within the same region
+        };
+
+        this.regionKey = key;
+        this.pending = { id: message.id, region: region, scale: scale };
+        this.stats.captured++;
+
+        if (this.worker && this.useBitmaps) {
+            // The worker reads the pixels itself, so the main thread only pays for the crop/resize
+            createImageBitmap(this.video, region.x, region.y, region.width, region.height, { resizeWidth: width, resizeHeight: height })
+                .then(bitmap => {
+                    if (this.worker && this.pending && this.pending.id === message.id) {
+                        this.worker.postMessage({ ...message, bitmap: bitmap }, [bitmap]);
+                    } else {
+                        bitmap.close();
+                    }
+                })
+                .catch(error => {
+                    console.log('ImageBitmap capture unavailable, sending pixels instead:', error.message);
+                    this.useBitmaps = false;
+                    this.pending = null;
+                });
+            return;
+        }
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.ctx.drawImage(this.video, region.x, region.y, region.width, region.height, 0, 0, width, height);
+        const image = this.ctx.getImageData(0, 0, width, height);
+
+        if (this.worker) {
+            // Transfer the pixel buffer instead of copying it
+            this.worker.postMessage({ ...message, buffer: image.data.buffer }, [image.data.buffer]);
+            return;
+        }
+
+        const started = performance.now();
+        this.mainThreadDecoder.decode({ ...message, image: image })
+            .then(result => this.handleResult({ id: message.id, ...result, duration: performance.now() - started }))
+            .catch(error => this.handleResult({ id: message.id, error: error.message }));
+    }
+
+    handleResult(result) {
+        const pending = this.pending;
+        if (!pending || result.id !== pending.id) {
+            return; // Stale result from before a stop or a decoder switch
+        }
+        this.pending = null;
+        this.stats.decoded++;
+        this.stats.lastDecodeMs = Math.round(result.duration || 0);
+
+        if (result.error) {
+            console.error('Error decoding frame:', result.error);
+            return;
+        }
+
+        // Several codes in one frame are rare at a door; the first one wins
+        const code = result.codes[0] || null;
+        this.adapt(code, result.motion, pending);
+        if (code && this.running) {
+            console.log(`Code detected (${BarcodeDecoder.describe(code)}):`, code.data);
+            this.onDecode(code);
+        }
+    }
+
+    adapt(code, motion, pending) {
+        const now = performance.now();
+
+        if (code) {
+            // Badges tend to be held in the same spot: look there first, at full speed
+            this.lastSuccess = now;
+            this.interval = FrameScanner.MIN_INTERVAL;
+            this.region = this.regionAround(code.location, pending);
+            return;
+        }
+
+        if (this.region && now - this.lastSuccess > FrameScanner.REGION_HOLD_MS) {
+            this.region = null;
+        }
+        // Speed up as soon as something moves, slow down gradually while the scene is still
+        this.interval = motion > FrameScanner.MOTION_THRESHOLD
+            ? FrameScanner.MIN_INTERVAL
+            : Math.min(FrameScanner.MAX_INTERVAL, Math.round(this.interval * 1.25));
+    }
+
+    regionAround(location, { region, scale }) {
+        // Map the code's corners back to video pixels and pad by the code's own size
+        const corners = [location.topLeftCorner, location.topRightCorner, location.bottomLeftCorner, location.bottomRightCorner];
+        const xs = corners.map(point => region.x + point.x / scale);
+        const ys = corners.map(point => region.y + point.y / scale);
+        const videoWidth = this.video.videoWidth;
+        const videoHeight = this.video.videoHeight;
+
+        // Never smaller than a third of the frame, so a slightly moved badge is still inside
+        const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+        const side = Math.min(Math.max(size * 2, videoWidth / 3, videoHeight / 3), videoWidth, videoHeight);
+        const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const centerY = (Math.min(...ys) + Math.max(...ys)) / 2;
+
+        return {
+            x: Math.round(Math.min(Math.max(centerX - side / 2, 0), videoWidth - side)),
+            y: Math.round(Math.min(Math.max(centerY - side / 2, 0), videoHeight - side)),
+            width: Math.round(side),
+            height: Math.round(side)
+        };
+    }
+}
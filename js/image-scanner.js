@@ -0,0 +1,284 @@
+class ImageBatchScanner {
+    constructor({ getDecoderSettings, describe, onConfirm, workerUrl = 'js/decoder-worker.js' }) {
+        this.getDecoderSettings = getDecoderSettings; // Same engine, types and inversion as the camera
+        this.describe = describe; // (data) => { title, subtitle, note } for the review list
+        this.onConfirm = onConfirm; // (item) => Promise of 'recorded', 'duplicate' or 'failed'
+        this.workerUrl = workerUrl;
+        this.worker = null; // Decoder worker, alive while a batch is being decoded
+        this.mainThreadDecoder = null; // BarcodeDecoder used when workers are unavailable
+        this.requests = new Map(); // Images sent to the worker, by message id
+        this.nextId = 0;
+        this.items = [];
+        this.busy = false;
+        this.batch = 0; // Bumped when the panel closes, so a batch still decoding knows to stop
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    static get MAX_SIZE() {
+        return 2000; // Longest side photos are decoded at; badges on a sign-in sheet are small
+    }
+
+    static get STATUS_LABELS() {
+        return {
+            recorded: 'Recorded',
+            duplicate: 'Already checked in',
+            failed: 'Not recorded',
+            skipped: 'Skipped'
+        };
+    }
+
+    initializeElements() {
+        this.fileInput = document.getElementById('imageFileInput');
+        this.panel = document.getElementById('imageReviewPanel');
+        this.list = document.getElementById('imageReviewList');
+        this.summary = document.getElementById('imageReviewSummary');
+        this.confirmAllBtn = document.getElementById('confirmAllImagesBtn');
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    bindEvents() {
+        document.getElementById('scanImagesBtn').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', (event) => {
+            this.scanFiles([...event.target.files]);
+            event.target.value = '';
+        });
+        document.getElementById('closeImageReviewBtn').addEventListener('click', () => this.close());
+        this.confirmAllBtn.addEventListener('click', () => this.confirmAll());
+        this.list.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (button) {
+                const item = this.items[parseInt(button.dataset.index, 10)];
+                if (button.dataset.action === 'confirm') {
+                    this.confirm(item);
+                } else {
+                    item.status = 'skipped';
+                    this.render();
+                }
+            }
+        });
+    }
+
+    async scanFiles(files) {
+        if (files.length === 0 || this.busy) {
+            return;
+        }
+
+        this.busy = true;
+        const batch = ++this.batch;
+        this.items = [];
+        this.panel.classList.remove('hidden');
+        this.startDecoder(this.getDecoderSettings());
+        const failedFiles = [];
+
+        for (let index = 0; index < files.length; index++) {
+            const file = files[index];
+            this.summary.textContent = `Decoding image ${index + 1} of ${files.length}: ${file.name}`;
+            try {
+                const image = await this.readPixels(file);
+                if (batch !== this.batch) {
+                    return;
+                }
+                const codes = await this.decodeImage(image);
+                if (batch !== this.batch) {
+                    return;
+                }
+                codes.forEach(code => this.addCode(code, file.name));
+                if (codes.length === 0) {
+                    failedFiles.push(`${file.name} (no codes found)`);
+                }
+            } catch (error) {
+                console.error('Error decoding image:', file.name, error);
+                failedFiles.push(`${file.name} (${error.message})`);
+            }
+            this.render();
+        }
+
+        this.stopDecoder();
+        this.busy = false;
+        this.failedFiles = failedFiles;
+        this.render();
+    }
+
+    startDecoder(settings) {
+        // Same worker script as the camera, so a large photo doesn't freeze the page while it is searched
+        this.decoderSettings = settings;
+        try {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (event) => this.handleResult(event.data);
+            this.worker.onerror = (error) => {
+                console.error('Image decoder worker failed, decoding on the main thread:', error.message || error);
+                this.useMainThread();
+            };
+            this.worker.postMessage({ type: 'configure', settings: settings });
+        } catch (error) {
+            console.log('Web Workers unavailable, decoding images on the main thread:', error.message);
+            this.useMainThread();
+        }
+    }
+
+    useMainThread() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.mainThreadDecoder = new BarcodeDecoder(this.decoderSettings);
+        // Images the worker never answered for are decoded here instead
+        const unanswered = [...this.requests.values()];
+        this.requests.clear();
+        unanswered.forEach(request => request.resolve(this.mainThreadDecoder.detectAll(request.image)));
+    }
+
+    stopDecoder() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.mainThreadDecoder = null;
+        // A terminated worker never answers; let anything still waiting on it move on
+        this.requests.forEach(request => request.resolve([]));
+        this.requests.clear();
+    }
+
+    decodeImage(image) {
+        // Resolves to every code found in one ImageData
+        if (!this.worker) {
+            return this.mainThreadDecoder.detectAll(image);
+        }
+        return new Promise((resolve, reject) => {
+            const id = ++this.nextId;
+            this.requests.set(id, { image: image, resolve: resolve, reject: reject });
+            // Copied rather than transferred, so the pixels are still here if the worker fails
+            this.worker.postMessage({ type: 'detectAll', id: id, buffer: image.data.buffer, width: image.width, height: image.height });
+        });
+    }
+
+    handleResult(result) {
+        const request = this.requests.get(result.id);
+        if (!request) {
+            return;
+        }
+        this.requests.delete(result.id);
+        if (result.error) {
+            request.reject(new Error(result.error));
+        } else {
+            request.resolve(result.codes);
+        }
+    }
+
+    addCode(code, fileName) {
+        // The same badge photographed twice is only offered once
+        const existing = this.items.find(item => item.data === code.data);
+        if (existing) {
+            if (!existing.files.includes(fileName)) {
+                existing.files.push(fileName);
+            }
+            return;
+        }
+        this.items.push({ data: code.data, code: code, files: [fileName], status: 'pending' });
+    }
+
+    async readPixels(file) {
+        const image = await ImageBatchScanner.loadImage(file);
+        const scale = Math.min(ImageBatchScanner.MAX_SIZE / image.width, ImageBatchScanner.MAX_SIZE / image.height, 1);
+        this.canvas.width = Math.round(image.width * scale);
+        this.canvas.height = Math.round(image.height * scale);
+        this.ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+        if (image.close) {
+            image.close();
+        }
+        return this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    static loadImage(file) {
+        // createImageBitmap also applies EXIF rotation; <img> is the fallback for older Safari
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(file, { imageOrientation: 'from-image' });
+        }
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('not a readable image'));
+            };
+            image.src = url;
+        });
+    }
+
+    async confirm(item) {
+        if (item.status !== 'pending') {
+            return;
+        }
+        item.status = 'working';
+        this.render();
+        try {
+            item.status = await this.onConfirm(item);
+        } catch (error) {
+            console.error('Error recording uploaded badge:', error);
+            item.status = 'failed';
+        }
+        this.render();
+    }
+
+    async confirmAll() {
+        // One at a time, so each check-in is in duplicate blocking before the next is tried
+        for (const item of this.items) {
+            await this.confirm(item);
+        }
+    }
+
+    close() {
+        // Also cancels a batch that is still decoding
+        this.batch++;
+        this.stopDecoder();
+        this.busy = false;
+        this.panel.classList.add('hidden');
+        this.items = [];
+        this.list.innerHTML = '';
+    }
+
+    render() {
+        const pending = this.items.filter(item => item.status === 'pending').length;
+        this.confirmAllBtn.disabled = this.busy || pending === 0;
+
+        if (!this.busy) {
+            const recorded = this.items.filter(item => item.status === 'recorded').length;
+            const unread = (this.failedFiles || []).length > 0 ? ` · Nothing read from: ${this.failedFiles.join(', ')}` : '';
+            this.summary.textContent = `${this.items.length} badges found, ${recorded} recorded, ${pending} waiting for review${unread}`;
+        }
+
+        this.list.innerHTML = this.items.map((item, index) => {
+            const description = this.describe(item.data);
+            const action = item.status === 'pending'
+                ? `<button data-action="confirm" data-index="${index}" class="bg-primary text-white px-3 py-1 rounded-lg hover:bg-primary-hover text-sm">
+                       <i class="fas fa-check mr-1"></i>Confirm
+                   </button>
+                   <button data-action="skip" data-index="${index}" class="bg-gray-200 text-dark px-3 py-1 rounded-lg hover:bg-gray-300 text-sm">Skip</button>`
+                : `<span class="image-review-status ${item.status}">${item.status === 'working' ? 'Saving...' : ImageBatchScanner.STATUS_LABELS[item.status]}</span>`;
+
+            return `
+                <li class="image-review-item">
+                    <div class="min-w-0">
+                        <div class="font-semibold text-dark">${this.escapeHtml(description.title)}</div>
+                        <div class="text-sm text-secondary">${this.escapeHtml(description.subtitle)}</div>
+                        <div class="text-xs text-gray-500">${this.escapeHtml(item.files.join(', '))} · ${this.escapeHtml(BarcodeDecoder.describe(item.code))}${description.note ? ` · <strong>${this.escapeHtml(description.note)}</strong>` : ''}</div>
+                    </div>
+                    <div class="flex gap-2 items-center flex-shrink-0">${action}</div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
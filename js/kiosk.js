@@ -0,0 +1,267 @@
+class KioskMode {
+    constructor({ isCameraLive, restartCamera, storageKey = 'qr_kiosk_settings' }) {
+        this.isCameraLive = isCameraLive; // () => true while the camera stream is running
+        this.restartCamera = restartCamera; // () => Promise; starts the scanner again
+        this.storageKey = storageKey;
+        this.settings = this.loadSettings();
+        this.active = false;
+        this.idleTimer = null;
+        this.messageTimer = null;
+        this.watchdog = null;
+        this.restarting = false;
+        this.failedAttempts = 0; // Wrong PINs since the last unlock
+        this.lockedUntil = 0;
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    static get DEFAULTS() {
+        return {
+            pinHash: '', // SHA-256 of salt and PIN; the PIN itself is never stored
+            salt: '',
+            idleSeconds: 60
+        };
+    }
+
+    static get MESSAGE_MS() {
+        return 4000; // How long a greeting or notice stays up before returning to the idle prompt
+    }
+
+    static get WATCHDOG_MS() {
+        return 5000; // How often the camera is checked, and restarted if it died
+    }
+
+    static get MAX_ATTEMPTS() {
+        return 5;
+    }
+
+    static get LOCKOUT_MS() {
+        return 60000; // PIN entry is blocked this long after MAX_ATTEMPTS wrong PINs
+    }
+
+    initializeElements() {
+        this.overlay = document.getElementById('kioskOverlay');
+        this.message = document.getElementById('kioskMessage');
+        this.icon = document.getElementById('kioskIcon');
+        this.title = document.getElementById('kioskTitle');
+        this.subtitle = document.getElementById('kioskSubtitle');
+        this.pinForm = document.getElementById('kioskPinForm');
+        this.pinInput = document.getElementById('kioskPinInput');
+        this.pinError = document.getElementById('kioskPinError');
+    }
+
+    bindEvents() {
+        document.getElementById('kioskUnlockBtn').addEventListener('click', () => this.openPinPad());
+        document.getElementById('kioskPinCancelBtn').addEventListener('click', () => this.closePinPad());
+        this.pinForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submitPin();
+        });
+        ['pointerdown', 'keydown'].forEach(type => {
+            document.addEventListener(type, () => {
+                if (this.active) {
+                    this.resetIdleTimer();
+                }
+            });
+        });
+    }
+
+    loadSettings() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? { ...KioskMode.DEFAULTS, ...JSON.parse(stored) } : KioskMode.DEFAULTS;
+        } catch (error) {
+            console.error('Error reading kiosk settings:', error);
+            return KioskMode.DEFAULTS;
+        }
+    }
+
+    get hasPin() {
+        return Boolean(this.settings.pinHash);
+    }
+
+    static async hashPin(pin, salt) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`));
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async saveSettings({ pin, idleSeconds }) {
+        // A blank PIN keeps the current one
+        const seconds = parseInt(idleSeconds, 10);
+        if (!Number.isFinite(seconds) || seconds < 10 || seconds > 3600) {
+            throw new Error('Idle timeout must be between 10 and 3600 seconds');
+        }
+        const settings = { ...this.settings, idleSeconds: seconds };
+
+        if (pin) {
+            if (!/^\d{4,8}$/.test(pin)) {
+                throw new Error('The kiosk PIN must be 4 to 8 digits');
+            }
+            settings.salt = [...crypto.getRandomValues(new Uint8Array(16))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+            settings.pinHash = await KioskMode.hashPin(pin, settings.salt);
+        } else if (!this.hasPin) {
+            throw new Error('Choose a kiosk PIN');
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(settings));
+        this.settings = settings;
+        return settings;
+    }
+
+    async enter({ fullscreen = true } = {}) {
+        if (!this.hasPin) {
+            throw new Error('Set a kiosk PIN under Settings before starting kiosk mode');
+        }
+
+        this.active = true;
+        localStorage.setItem('qr_kiosk_active', 'on'); // A reload comes back locked
+        document.body.classList.add('kiosk-mode');
+        this.overlay.classList.remove('hidden');
+        if (fullscreen && document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(error => console.log('Fullscreen unavailable:', error.message));
+        }
+
+        this.showIdle();
+        this.resetIdleTimer();
+        this.watchdog = setInterval(() => this.checkCamera(), KioskMode.WATCHDOG_MS);
+        await this.checkCamera();
+    }
+
+    resume() {
+        // Called on page load: a tablet that was locked stays locked after a reload or crash
+        if (localStorage.getItem('qr_kiosk_active') === 'on' && this.hasPin) {
+            this.enter({ fullscreen: false });
+        }
+    }
+
+    exit() {
+        this.active = false;
+        localStorage.removeItem('qr_kiosk_active');
+        document.body.classList.remove('kiosk-mode');
+        this.overlay.classList.add('hidden');
+        this.closePinPad();
+        clearInterval(this.watchdog);
+        clearTimeout(this.idleTimer);
+        clearTimeout(this.messageTimer);
+        this.watchdog = null;
+        if (document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }
+
+    async checkCamera() {
+        // Restart the camera after permission hiccups, unplugged cameras or a crashed stream
+        if (!this.active || this.restarting || this.isCameraLive()) {
+            return;
+        }
+        this.restarting = true;
+        this.showMessage('restarting', 'Starting camera...', 'One moment please', 'fa-camera', 0);
+        try {
+            await this.restartCamera();
+        } catch (error) {
+            console.error('Kiosk camera restart failed:', error);
+        }
+        this.restarting = false;
+        if (this.isCameraLive()) {
+            this.showIdle();
+        } else {
+            this.showMessage('error', 'Camera unavailable', 'Please ask a staff member for help', 'fa-video-slash', 0);
+        }
+    }
+
+    static displayName(name) {
+        // Badges read "LAST NAME, First Name"; greet people first name first
+        const [last, first] = name.split(',').map(part => part.trim());
+        return first ? `${first} ${last}` : name;
+    }
+
+    feedback(kind, { name = '', country = '', message = '' } = {}) {
+        if (!this.active) {
+            return;
+        }
+        const person = name ? KioskMode.displayName(name) : '';
+        if (kind === 'welcome') {
+            this.showMessage('welcome', `Welcome, ${person}${country ? ` from ${country}` : ''}`, 'You are checked in', 'fa-circle-check');
+        } else if (kind === 'goodbye') {
+            this.showMessage('welcome', `Goodbye, ${person}`, 'You are checked out. See you next time!', 'fa-hand');
+        } else if (kind === 'duplicate') {
+            this.showMessage('notice', person ? `${person}, you're already checked in` : "You're already checked in", 'No need to scan again', 'fa-circle-info');
+        } else {
+            this.showMessage('error', message || "We couldn't check you in", 'Please see the front desk', 'fa-triangle-exclamation');
+        }
+    }
+
+    showMessage(kind, title, subtitle, icon, duration = KioskMode.MESSAGE_MS) {
+        clearTimeout(this.messageTimer);
+        this.message.className = `kiosk-message ${kind}`;
+        this.icon.className = `fas ${icon}`;
+        this.title.textContent = title;
+        this.subtitle.textContent = subtitle;
+        if (duration > 0) {
+            this.messageTimer = setTimeout(() => this.showIdle(), duration);
+        }
+        this.resetIdleTimer();
+    }
+
+    showIdle() {
+        clearTimeout(this.messageTimer);
+        this.message.className = 'kiosk-message idle';
+        this.icon.className = 'fas fa-qrcode';
+        this.title.textContent = 'Scan your badge to check in';
+        this.subtitle.textContent = 'Hold the code inside the frame';
+    }
+
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            // Nobody around: drop any half-typed PIN and go back to the welcome prompt
+            this.closePinPad();
+            if (!this.restarting) {
+                this.showIdle();
+            }
+        }, this.settings.idleSeconds * 1000);
+    }
+
+    openPinPad() {
+        this.pinForm.classList.remove('hidden');
+        this.pinError.classList.add('hidden');
+        this.pinInput.value = '';
+        this.pinInput.focus();
+    }
+
+    closePinPad() {
+        this.pinForm.classList.add('hidden');
+        this.pinInput.value = '';
+    }
+
+    async submitPin() {
+        const now = Date.now();
+        if (now < this.lockedUntil) {
+            this.showPinError(`Too many attempts. Try again in ${Math.ceil((this.lockedUntil - now) / 1000)} seconds.`);
+            return;
+        }
+
+        const hash = await KioskMode.hashPin(this.pinInput.value, this.settings.salt);
+        if (hash === this.settings.pinHash) {
+            this.failedAttempts = 0;
+            this.exit();
+            return;
+        }
+
+        this.failedAttempts++;
+        this.pinInput.value = '';
+        if (this.failedAttempts >= KioskMode.MAX_ATTEMPTS) {
+            this.failedAttempts = 0;
+            this.lockedUntil = now + KioskMode.LOCKOUT_MS;
+            this.showPinError('Too many attempts. PIN entry is locked for a minute.');
+        } else {
+            this.showPinError('Incorrect PIN');
+        }
+    }
+
+    showPinError(message) {
+        this.pinError.textContent = message;
+        this.pinError.classList.remove('hidden');
+    }
+}
@@ -0,0 +1,179 @@
+class LiveSync {
+    constructor({ onChange, onStatus, isEnabled, pollInterval = 3000, fullRefreshEvery = 10 } = {}) {
+        this.onChange = onChange; // Called when another device changed the attendance table
+        this.onStatus = onStatus; // Called with a short human-readable status line
+        this.isEnabled = isEnabled || (() => true);
+        this.pollInterval = pollInterval;
+        this.fullRefreshEvery = fullRefreshEvery; // Every Nth poll reloads everything to pick up deletes
+        this.deviceId = LiveSync.getDeviceId();
+        this.cursor = 0; // Highest updated_at seen so far
+        this.eventSource = null;
+        this.pollTimer = null;
+        this.pollCount = 0;
+        this.mode = 'off'; // 'stream', 'polling' or 'off'
+        this.lastUpdate = null;
+    }
+
+    static getDeviceId() {
+        let deviceId = localStorage.getItem('qr_device_id');
+        if (!deviceId) {
+            deviceId = 'device_' + Math.random().toString(36).substr(2, 8);
+            localStorage.setItem('qr_device_id', deviceId);
+        }
+        return deviceId;
+    }
+
+    start() {
+        // Prefer a server-sent event stream; fall back to polling with a since cursor
+        if (typeof EventSource !== 'undefined') {
+            try {
+                this.eventSource = new EventSource('tables/attendance/stream');
+                this.eventSource.onopen = () => {
+                    this.stopPolling();
+                    this.setMode('stream');
+                };
+                this.eventSource.onmessage = (event) => this.handleStreamEvent(event);
+                this.eventSource.onerror = () => {
+                    console.log('Live sync stream unavailable, falling back to polling');
+                    this.eventSource.close();
+                    this.eventSource = null;
+                    this.startPolling();
+                };
+                return;
+            } catch (error) {
+                console.log('EventSource failed to start:', error.message);
+            }
+        }
+        this.startPolling();
+    }
+
+    stop() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        this.stopPolling();
+        this.setMode('off');
+    }
+
+    startPolling() {
+        if (this.pollTimer) {
+            return;
+        }
+        this.setMode('polling');
+        this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    handleStreamEvent(event) {
+        try {
+            const message = JSON.parse(event.data);
+            if (Array.isArray(message.ids)) {
+                // Bulk changes carry only ids, so there is no device to compare against
+                this.notifyChange(`${message.type} of ${message.ids.length} record${message.ids.length === 1 ? '' : 's'}`);
+                return;
+            }
+            const record = message.record || {};
+            if (record.device_id !== this.deviceId) {
+                this.notifyChange(`${message.type || 'update'} from ${record.device_id || 'another device'}`);
+            }
+        } catch (error) {
+            console.error('Invalid live sync message:', event.data);
+        }
+    }
+
+    async poll() {
+        if (!this.isEnabled()) {
+            return;
+        }
+
+        this.pollCount++;
+        if (this.pollCount % this.fullRefreshEvery === 0) {
+            this.notifyChange('periodic refresh');
+            return;
+        }
+
+        try {
+            // Servers that ignore "since" return everything; the cursor filter below still works
+            const response = await fetch(`tables/attendance?since=${this.cursor}&sort=updated_at&limit=1000`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            // New scans and edits (soft deletes, restores) both move updated_at past the cursor
+            const changed = (data.data || []).filter(record => (record.updated_at || 0) > this.cursor);
+            if (changed.length > 0) {
+                this.notifyChange(`${changed.length} changed record${changed.length === 1 ? '' : 's'} on the server`);
+            }
+        } catch (error) {
+            console.log('Live sync poll failed:', error.message);
+        }
+    }
+
+    notifyChange(reason) {
+        console.log('Live sync change:', reason);
+        this.lastUpdate = new Date();
+        this.reportStatus();
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    track(records) {
+        // Called after every reload (with all sessions' records) so polls only report what is genuinely new
+        records.forEach(record => {
+            this.cursor = Math.max(this.cursor, record.updated_at || 0);
+        });
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.reportStatus();
+    }
+
+    reportStatus() {
+        if (!this.onStatus) {
+            return;
+        }
+        const labels = { stream: '📡 Live sync (stream)', polling: '📡 Live sync (polling)', off: '' };
+        const last = this.lastUpdate ? ` · last remote change ${this.lastUpdate.toLocaleTimeString()}` : '';
+        this.onStatus(labels[this.mode] + (this.mode === 'off' ? '' : last));
+    }
+
+    static findConflicts(records, deviceId) {
+        // The earliest check-in of a badge wins; a device only ever removes its own later copies.
+        // Repeats admitted by the session's duplicate policy or an override are deliberate, not races.
+        const byBadge = new Map();
+        records
+            .filter(record => !PresenceLog.isCheckOut(record) && record.raw_qr_data && !record.duplicate_status)
+            .forEach(record => {
+                if (!byBadge.has(record.raw_qr_data)) {
+                    byBadge.set(record.raw_qr_data, []);
+                }
+                byBadge.get(record.raw_qr_data).push(record);
+            });
+
+        const losers = [];
+        byBadge.forEach(badgeRecords => {
+            if (badgeRecords.length < 2) {
+                return;
+            }
+            badgeRecords.sort((a, b) =>
+                (new Date(a.scan_timestamp) - new Date(b.scan_timestamp)) || a.id.localeCompare(b.id)
+            );
+            const winner = badgeRecords[0];
+            badgeRecords.slice(1).forEach(record => {
+                if (record.device_id === deviceId && winner.device_id !== deviceId) {
+                    losers.push({ record: record, winner: winner });
+                }
+            });
+        });
+        return losers;
+    }
+}
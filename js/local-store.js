@@ -0,0 +1,268 @@
+class LocalAttendanceStore {
+    constructor({ dbName = 'islf_attendance', legacyKey = 'qr_attendance_records', fallbackKey = 'qr_attendance_fallback', snapshotKey = 'qr_attendance_snapshots', auditKey = 'qr_audit_log', onMigrate = null } = {}) {
+        this.dbName = dbName;
+        this.legacyKey = legacyKey; // Records saved by versions before IndexedDB; they never reached the API
+        this.fallbackKey = fallbackKey; // localStorage key for records when IndexedDB is unavailable
+        this.onMigrate = onMigrate; // Called with the records moved out of the legacy blob
+        this.snapshotKey = snapshotKey; // localStorage key for snapshots when IndexedDB is unavailable
+        this.auditKey = auditKey; // localStorage key for the audit log when IndexedDB is unavailable
+        this.storeName = 'records';
+        this.snapshotStoreName = 'snapshots';
+        this.auditStoreName = 'audit';
+        this.maxSnapshots = 10;
+        this.dbPromise = null;
+        this.useFallback = typeof indexedDB === 'undefined'; // Very old browsers / private modes without IndexedDB
+    }
+
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 3);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('scan_timestamp', 'scan_timestamp');
+                    store.createIndex('raw_qr_data', 'raw_qr_data');
+                    store.createIndex('country', 'country');
+                    store.createIndex('session_id', 'session_id');
+                }
+                // Version 2: backup snapshots taken before bulk clears and restores
+                if (!db.objectStoreNames.contains(this.snapshotStoreName)) {
+                    const snapshots = db.createObjectStore(this.snapshotStoreName, { keyPath: 'id' });
+                    snapshots.createIndex('created_at', 'created_at');
+                }
+                // Version 3: append-only audit log
+                if (!db.objectStoreNames.contains(this.auditStoreName)) {
+                    const audit = db.createObjectStore(this.auditStoreName, { keyPath: 'id' });
+                    audit.createIndex('timestamp', 'timestamp');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(async (db) => {
+            await this.migrateFromLocalStorage(db);
+            return db;
+        }).catch((error) => {
+            console.error('IndexedDB unavailable, falling back to localStorage:', error);
+            this.useFallback = true;
+            this.migrateToFallback();
+            return null;
+        });
+
+        return this.dbPromise;
+    }
+
+    async migrateFromLocalStorage(db) {
+        // One-time move of the old single-blob records into IndexedDB. Records kept under the fallback
+        // key on an earlier visit without IndexedDB move too, but their writes are already in the outbox
+        for (const key of [this.legacyKey, this.fallbackKey]) {
+            const records = LocalAttendanceStore.readBlob(key);
+            if (!records) {
+                continue;
+            }
+            await this.transaction(db, 'readwrite', store => {
+                records.forEach(record => store.put(record));
+            });
+            localStorage.removeItem(key);
+            console.log(`Migrated ${records.length} records from localStorage (${key}) to IndexedDB`);
+            if (key === this.legacyKey && this.onMigrate) {
+                this.onMigrate(records);
+            }
+        }
+    }
+
+    migrateToFallback() {
+        // Without IndexedDB the legacy records join the fallback store instead, once
+        const legacy = LocalAttendanceStore.readBlob(this.legacyKey);
+        if (!legacy) {
+            return;
+        }
+        const ids = new Set(legacy.map(record => record.id));
+        this.writeFallback(this.readFallback().filter(record => !ids.has(record.id)).concat(legacy));
+        localStorage.removeItem(this.legacyKey);
+        if (this.onMigrate) {
+            this.onMigrate(legacy);
+        }
+    }
+
+    static readBlob(key) {
+        // An array of records, or null when the key is empty or unreadable (unreadable data is left in place)
+        const stored = localStorage.getItem(key);
+        if (!stored) {
+            return null;
+        }
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            console.error(`localStorage records under ${key} are unreadable, leaving them in place:`, error);
+            return null;
+        }
+    }
+
+    transaction(db, mode, work, storeName = this.storeName) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const result = work(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async add(record) {
+        const db = await this.open();
+        if (this.useFallback) {
+            const records = this.readFallback().filter(existing => existing.id !== record.id);
+            records.push(record);
+            this.writeFallback(records);
+            return;
+        }
+        await this.transaction(db, 'readwrite', store => store.put(record));
+    }
+
+    async get(id) {
+        const db = await this.open();
+        if (this.useFallback) {
+            return this.readFallback().find(record => record.id === id) || null;
+        }
+        const record = await this.transaction(db, 'readonly', store => store.get(id));
+        return record || null;
+    }
+
+    async list() {
+        // Sorted by scan_timestamp (oldest first) straight from the index
+        const db = await this.open();
+        if (this.useFallback) {
+            return this.readFallback().sort((a, b) => new Date(a.scan_timestamp) - new Date(b.scan_timestamp));
+        }
+        return this.transaction(db, 'readonly', store => store.index('scan_timestamp').getAll());
+    }
+
+    async findByRawData(rawData) {
+        const db = await this.open();
+        if (this.useFallback) {
+            return this.readFallback().filter(record => record.raw_qr_data === rawData);
+        }
+        return this.transaction(db, 'readonly', store => store.index('raw_qr_data').getAll(rawData));
+    }
+
+    async delete(id) {
+        await this.deleteMany([id]);
+    }
+
+    async deleteMany(ids) {
+        const db = await this.open();
+        if (this.useFallback) {
+            const idSet = new Set(ids);
+            this.writeFallback(this.readFallback().filter(record => !idSet.has(record.id)));
+            return;
+        }
+        await this.transaction(db, 'readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    async clear() {
+        const db = await this.open();
+        if (this.useFallback) {
+            localStorage.removeItem(this.fallbackKey);
+            return;
+        }
+        await this.transaction(db, 'readwrite', store => store.clear());
+    }
+
+    async addSnapshot(snapshot) {
+        const db = await this.open();
+        if (this.useFallback) {
+            const snapshots = this.readFallbackSnapshots();
+            snapshots.push(snapshot);
+            localStorage.setItem(this.snapshotKey, JSON.stringify(snapshots.slice(-this.maxSnapshots)));
+            return;
+        }
+        await this.transaction(db, 'readwrite', store => store.put(snapshot), this.snapshotStoreName);
+
+        // Keep only the newest snapshots
+        const snapshots = await this.listSnapshots();
+        const expired = snapshots.slice(this.maxSnapshots).map(old => old.id);
+        if (expired.length > 0) {
+            await this.transaction(db, 'readwrite', store => {
+                expired.forEach(id => store.delete(id));
+            }, this.snapshotStoreName);
+        }
+    }
+
+    async listSnapshots() {
+        // Newest first
+        const db = await this.open();
+        const snapshots = this.useFallback
+            ? this.readFallbackSnapshots()
+            : await this.transaction(db, 'readonly', store => store.index('created_at').getAll(), this.snapshotStoreName);
+        return snapshots.sort((a, b) => b.created_at - a.created_at);
+    }
+
+    async getSnapshot(id) {
+        const snapshots = await this.listSnapshots();
+        return snapshots.find(snapshot => snapshot.id === id) || null;
+    }
+
+    async appendAudit(entry) {
+        // add() rather than put(), so an existing entry can never be overwritten
+        const db = await this.open();
+        if (this.useFallback) {
+            const entries = this.readFallbackAudit();
+            entries.push(entry);
+            localStorage.setItem(this.auditKey, JSON.stringify(entries));
+            return;
+        }
+        await this.transaction(db, 'readwrite', store => store.add(entry), this.auditStoreName);
+    }
+
+    async listAudit() {
+        // Oldest first, straight from the index
+        const db = await this.open();
+        if (this.useFallback) {
+            return this.readFallbackAudit();
+        }
+        return this.transaction(db, 'readonly', store => store.index('timestamp').getAll(), this.auditStoreName);
+    }
+
+    readFallbackAudit() {
+        try {
+            const entries = localStorage.getItem(this.auditKey);
+            return entries ? JSON.parse(entries) : [];
+        } catch (error) {
+            console.error('Error reading the audit log from localStorage:', error);
+            return [];
+        }
+    }
+
+    readFallbackSnapshots() {
+        try {
+            const snapshots = localStorage.getItem(this.snapshotKey);
+            return snapshots ? JSON.parse(snapshots) : [];
+        } catch (error) {
+            console.error('Error reading snapshots from localStorage:', error);
+            return [];
+        }
+    }
+
+    readFallback() {
+        try {
+            const records = localStorage.getItem(this.fallbackKey);
+            return records ? JSON.parse(records) : [];
+        } catch (error) {
+            console.error('Error reading from localStorage:', error);
+            return [];
+        }
+    }
+
+    writeFallback(records) {
+        localStorage.setItem(this.fallbackKey, JSON.stringify(records));
+    }
+}
@@ -0,0 +1,215 @@
+class ManualCheckIn {
+    constructor({ registry, getRecords, onSubmit }) {
+        this.registry = registry; // Imported roster, searched alongside past records
+        this.getRecords = getRecords; // Records from every session, so returning attendees can be found
+        this.onSubmit = onSubmit; // Resolves to true when the check-in was recorded
+        this.candidates = [];
+        this.matches = [];
+        this.highlighted = -1;
+        this.selected = null;
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    static get MAX_SUGGESTIONS() {
+        return 8;
+    }
+
+    initializeElements() {
+        this.panel = document.getElementById('manualCheckInPanel');
+        this.form = document.getElementById('manualCheckInForm');
+        this.searchInput = document.getElementById('manualSearchInput');
+        this.suggestionList = document.getElementById('manualSuggestions');
+        this.nameInput = document.getElementById('manualNameInput');
+        this.countryInput = document.getElementById('manualCountryInput');
+        this.selectionNote = document.getElementById('manualSelectionNote');
+    }
+
+    bindEvents() {
+        document.getElementById('manualCheckInBtn').addEventListener('click', () => this.toggle());
+        document.getElementById('cancelManualCheckInBtn').addEventListener('click', () => this.toggle(false));
+        this.searchInput.addEventListener('input', () => this.search(this.searchInput.value));
+        this.searchInput.addEventListener('keydown', (event) => this.handleKeydown(event));
+        this.searchInput.addEventListener('blur', () => {
+            // Let a click on a suggestion land before the list disappears
+            setTimeout(() => this.renderSuggestions([]), 150);
+        });
+        this.suggestionList.addEventListener('mousedown', (event) => {
+            const item = event.target.closest('[data-index]');
+            if (item) {
+                event.preventDefault();
+                this.select(this.matches[parseInt(item.dataset.index, 10)]);
+            }
+        });
+        // Typing over a picked participant turns the entry back into a free-form walk-in
+        [this.nameInput, this.countryInput].forEach(input => {
+            input.addEventListener('input', () => this.setSelected(null));
+        });
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit();
+        });
+    }
+
+    toggle(visible = this.panel.classList.contains('hidden')) {
+        this.panel.classList.toggle('hidden', !visible);
+        if (visible) {
+            this.candidates = ManualCheckIn.buildCandidates(this.registry.participants, this.getRecords());
+            this.searchInput.focus();
+        } else {
+            this.reset();
+        }
+    }
+
+    reset() {
+        this.form.reset();
+        this.setSelected(null);
+        this.renderSuggestions([]);
+    }
+
+    search(query) {
+        this.renderSuggestions(ManualCheckIn.search(this.candidates, query, ManualCheckIn.MAX_SUGGESTIONS));
+    }
+
+    handleKeydown(event) {
+        if (this.matches.length === 0) {
+            return;
+        }
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            this.highlighted = (this.highlighted + step + this.matches.length) % this.matches.length;
+            this.renderSuggestions(this.matches);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            this.select(this.matches[Math.max(this.highlighted, 0)]);
+        } else if (event.key === 'Escape') {
+            this.renderSuggestions([]);
+        }
+    }
+
+    renderSuggestions(matches) {
+        if (matches !== this.matches) {
+            this.highlighted = -1;
+        }
+        this.matches = matches;
+        this.suggestionList.classList.toggle('hidden', matches.length === 0);
+        this.suggestionList.innerHTML = matches.map((candidate, index) => `
+            <li data-index="${index}" class="manual-suggestion${index === this.highlighted ? ' active' : ''}">
+                <span class="font-medium text-dark">${this.escapeHtml(candidate.name)}</span>
+                <span class="text-secondary"> · ${this.escapeHtml(candidate.country)}</span>
+                <span class="manual-suggestion-source">${this.escapeHtml(ManualCheckIn.describeSource(candidate))}</span>
+            </li>
+        `).join('');
+    }
+
+    select(candidate) {
+        this.nameInput.value = candidate.name;
+        this.countryInput.value = candidate.country;
+        this.searchInput.value = '';
+        this.setSelected(candidate);
+        this.renderSuggestions([]);
+    }
+
+    setSelected(candidate) {
+        this.selected = candidate;
+        this.selectionNote.textContent = candidate
+            ? `Selected: ${ManualCheckIn.describeSource(candidate)}`
+            : 'Not on the roster or in past records - will be recorded as entered';
+    }
+
+    async submit() {
+        const name = this.nameInput.value.trim();
+        const country = this.countryInput.value.trim();
+        if (!name || !country) {
+            this.selectionNote.textContent = 'Enter a name and country, or pick someone from the search';
+            return;
+        }
+
+        const recorded = await this.onSubmit({
+            name: name,
+            country: country,
+            raw_qr_data: this.selected ? this.selected.raw_qr_data : null
+        });
+        if (recorded) {
+            this.toggle(false);
+        }
+    }
+
+    static buildCandidates(participants, records) {
+        // One entry per person (accent/case-insensitive name + country). Past records keep
+        // the badge content they were scanned with, so duplicate checks match later badge scans.
+        const candidates = new Map();
+
+        participants.forEach(participant => {
+            candidates.set(ParticipantRegistry.participantKey(participant.name, participant.country), {
+                name: participant.name,
+                country: participant.country,
+                participant_id: participant.id,
+                raw_qr_data: null,
+                last_seen: null
+            });
+        });
+
+        records
+            .filter(record => !record.deleted_at && !PresenceLog.isCheckOut(record) && record.name && record.country)
+            .forEach(record => {
+                const key = ParticipantRegistry.participantKey(record.name, record.country);
+                const existing = candidates.get(key);
+                if (existing && existing.last_seen && new Date(existing.last_seen) >= new Date(record.scan_timestamp)) {
+                    return;
+                }
+                candidates.set(key, {
+                    name: existing ? existing.name : record.name,
+                    country: existing ? existing.country : record.country,
+                    participant_id: existing ? existing.participant_id : (record.participant_id || null),
+                    raw_qr_data: record.raw_qr_data || null,
+                    last_seen: record.scan_timestamp
+                });
+            });
+
+        return [...candidates.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    static search(candidates, query, limit) {
+        // Every word must appear in the name or country; names starting with the query rank first
+        const normalized = ParticipantRegistry.normalizeText(query).replace(/,/g, ' ');
+        const terms = normalized.split(' ').filter(Boolean);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        return candidates
+            .map(candidate => {
+                const name = ParticipantRegistry.normalizeText(candidate.name);
+                const haystack = `${name} ${ParticipantRegistry.normalizeText(candidate.country)}`;
+                if (!terms.every(term => haystack.includes(term))) {
+                    return null;
+                }
+                return { candidate: candidate, rank: name.startsWith(terms[0]) ? 0 : 1 };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, limit)
+            .map(match => match.candidate);
+    }
+
+    static describeSource(candidate) {
+        const parts = [];
+        if (candidate.participant_id) {
+            parts.push(`Roster ID ${candidate.participant_id}`);
+        }
+        if (candidate.last_seen) {
+            parts.push(`last seen ${new Date(candidate.last_seen).toLocaleDateString()}`);
+        }
+        return parts.length > 0 ? parts.join(' · ') : 'Past record';
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,296 @@
+class PayloadParser {
+    constructor(storageKey = 'qr_payload_config') {
+        this.storageKey = storageKey;
+        this.config = this.load();
+    }
+
+    static defaultConfig() {
+        return {
+            // name and country are always required; the rest are kept when a badge carries them
+            fields: [
+                { key: 'name', label: 'Name', required: true },
+                { key: 'country', label: 'Country', required: true },
+                { key: 'organization', label: 'Organization' },
+                { key: 'email', label: 'Email' },
+                { key: 'delegate_id', label: 'Delegate ID' },
+                { key: 'role', label: 'Role' }
+            ],
+            // Tried in order; the first format that yields every required field wins
+            formats: [
+                {
+                    id: 'json',
+                    type: 'json',
+                    paths: {
+                        name: 'name',
+                        country: 'country',
+                        last_name: 'lastName',
+                        first_name: 'firstName',
+                        organization: 'organization',
+                        email: 'email',
+                        delegate_id: 'delegateId',
+                        role: 'role'
+                    }
+                },
+                {
+                    id: 'vcard',
+                    type: 'vcard',
+                    properties: {
+                        last_name: 'N.0',
+                        first_name: 'N.1',
+                        display_name: 'FN',
+                        country: 'ADR.6',
+                        organization: 'ORG.0',
+                        email: 'EMAIL',
+                        delegate_id: 'UID',
+                        role: 'ROLE'
+                    }
+                },
+                {
+                    id: 'mecard',
+                    type: 'mecard',
+                    properties: {
+                        last_name: 'N.0',
+                        first_name: 'N.1',
+                        country: 'ADR.-1',
+                        organization: 'ORG',
+                        email: 'EMAIL',
+                        delegate_id: 'NOTE'
+                    }
+                },
+                {
+                    id: 'labeled',
+                    type: 'labeled',
+                    labels: {
+                        'name': 'name',
+                        'country': 'country',
+                        'organization': 'organization',
+                        'org': 'organization',
+                        'email': 'email',
+                        'delegate id': 'delegate_id',
+                        'id': 'delegate_id',
+                        'role': 'role'
+                    },
+                    requireLabels: ['name']
+                },
+                { id: 'primary', type: 'delimited', delimiter: ',', columns: ['last_name', 'first_name', 'country'], rest: true },
+                { id: 'simple', type: 'delimited', delimiter: ',', columns: ['name', 'country'], rest: true },
+                { id: 'lines-3', type: 'delimited', delimiter: '\n', columns: ['last_name', 'first_name', 'country'] },
+                { id: 'lines-2', type: 'delimited', delimiter: '\n', columns: ['name', 'country'] }
+            ]
+        };
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? PayloadParser.validateConfig(JSON.parse(stored)) : PayloadParser.defaultConfig();
+        } catch (error) {
+            console.error('Error reading payload parser config, using defaults:', error);
+            return PayloadParser.defaultConfig();
+        }
+    }
+
+    save(config) {
+        this.config = PayloadParser.validateConfig(config);
+        localStorage.setItem(this.storageKey, JSON.stringify(this.config));
+    }
+
+    reset() {
+        this.config = PayloadParser.defaultConfig();
+        localStorage.removeItem(this.storageKey);
+    }
+
+    static validateConfig(config) {
+        if (!config || !Array.isArray(config.fields) || !Array.isArray(config.formats)) {
+            throw new Error('Config needs "fields" and "formats" arrays');
+        }
+
+        const keys = config.fields.map(field => field.key);
+        if (!keys.includes('name') || !keys.includes('country')) {
+            throw new Error('The field schema must include "name" and "country"');
+        }
+
+        config.formats.forEach(format => {
+            if (!PayloadParser.types[format.type]) {
+                throw new Error(`Unknown payload format type "${format.type}" in format "${format.id}"`);
+            }
+        });
+        return config;
+    }
+
+    get extraFields() {
+        return this.config.fields.filter(field => field.key !== 'name' && field.key !== 'country');
+    }
+
+    parse(qrData) {
+        for (const format of this.config.formats) {
+            if (format.enabled === false) {
+                continue;
+            }
+
+            let values;
+            try {
+                values = PayloadParser.types[format.type](qrData, format);
+            } catch (error) {
+                values = null; // Not this format, try the next one
+            }
+            if (!values) {
+                continue;
+            }
+
+            const result = this.applySchema(values);
+            if (result) {
+                return { ...result, format: format.id };
+            }
+        }
+
+        return { name: '', country: '', fields: {}, format: null };
+    }
+
+    applySchema(values) {
+        const clean = {};
+        Object.keys(values).forEach(key => {
+            const value = values[key];
+            if (value !== undefined && value !== null && String(value).trim()) {
+                clean[key] = String(value).trim();
+            }
+        });
+
+        // "LAST NAME, First Name" when a badge carries split names
+        if (!clean.name && clean.last_name && clean.first_name) {
+            clean.name = `${clean.last_name}, ${clean.first_name}`;
+        }
+        if (!clean.name && clean.display_name) {
+            clean.name = clean.display_name;
+        }
+
+        const missingRequired = this.config.fields.some(field => field.required && !clean[field.key]);
+        if (missingRequired) {
+            return null;
+        }
+
+        const fields = {};
+        this.extraFields.forEach(field => {
+            if (clean[field.key]) {
+                fields[field.key] = clean[field.key];
+            }
+        });
+
+        return { name: clean.name, country: clean.country, fields: fields };
+    }
+
+    static registerType(type, extractor) {
+        // extractor(qrData, format) returns a { fieldKey: value } map, or null when the payload doesn't fit
+        PayloadParser.types[type] = extractor;
+    }
+
+    static componentValue(value, index, separator) {
+        if (index === undefined) {
+            return value;
+        }
+        const parts = value.split(separator);
+        const position = index < 0 ? parts.length + index : index;
+        return parts[position];
+    }
+
+    static readProperties(properties, mapping, separator) {
+        const values = {};
+        Object.keys(mapping).forEach(field => {
+            const [property, index] = mapping[field].split('.');
+            const raw = properties[property.toUpperCase()];
+            if (raw !== undefined) {
+                values[field] = PayloadParser.componentValue(raw, index === undefined ? undefined : parseInt(index, 10), separator);
+            }
+        });
+        return values;
+    }
+}
+
+PayloadParser.types = {
+    delimited(qrData, format) {
+        const parts = qrData.split(format.delimiter).map(part => part.trim());
+        const nonEmpty = format.delimiter === '\n' ? parts.filter(part => part) : parts;
+        const columns = format.columns;
+
+        if (nonEmpty.length < (format.minColumns || columns.length)) {
+            return null;
+        }
+        if (format.rest && nonEmpty.length > columns.length) {
+            // Last column keeps the remainder, e.g. "DOE, John, Bosnia, and Herzegovina"
+            const tail = nonEmpty.slice(columns.length - 1).join(`${format.delimiter} `);
+            nonEmpty.splice(columns.length - 1, nonEmpty.length, tail);
+        }
+
+        const values = {};
+        columns.forEach((column, index) => {
+            values[column] = nonEmpty[index];
+        });
+        return values;
+    },
+
+    labeled(qrData, format) {
+        // "Name: John Doe, Country: USA" - commas only split when a new "Label:" follows
+        const segments = qrData.split(/[\n;]|,(?=\s*[A-Za-z][\w -]*:)/);
+        const values = {};
+        const seen = new Set();
+
+        segments.forEach(segment => {
+            const match = segment.match(/^\s*([A-Za-z][\w -]*?)\s*:\s*(.*)$/);
+            if (match) {
+                const label = match[1].toLowerCase();
+                const field = format.labels[label];
+                seen.add(label);
+                if (field) {
+                    values[field] = match[2];
+                }
+            }
+        });
+
+        const required = format.requireLabels || [];
+        return required.every(label => seen.has(label)) ? values : null;
+    },
+
+    json(qrData, format) {
+        if (!/^\s*[\[{]/.test(qrData)) {
+            return null;
+        }
+        const data = JSON.parse(qrData);
+        const values = {};
+        Object.keys(format.paths).forEach(field => {
+            const value = format.paths[field].split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+            if (value !== undefined && typeof value !== 'object') {
+                values[field] = value;
+            }
+        });
+        return values;
+    },
+
+    vcard(qrData, format) {
+        if (!/^BEGIN:VCARD/i.test(qrData.trim())) {
+            return null;
+        }
+        // Unfold continuation lines, then read "PROP;PARAMS:value" lines
+        const properties = {};
+        qrData.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).forEach(line => {
+            const match = line.match(/^([A-Za-z-]+)(?:;[^:]*)?:(.*)$/);
+            if (match && properties[match[1].toUpperCase()] === undefined) {
+                properties[match[1].toUpperCase()] = match[2];
+            }
+        });
+        return PayloadParser.readProperties(properties, format.properties, ';');
+    },
+
+    mecard(qrData, format) {
+        if (!/^MECARD:/i.test(qrData.trim())) {
+            return null;
+        }
+        const properties = {};
+        qrData.trim().slice('MECARD:'.length).split(/(?<!\\);/).forEach(entry => {
+            const separator = entry.indexOf(':');
+            if (separator > 0) {
+                properties[entry.slice(0, separator).toUpperCase()] = entry.slice(separator + 1).replace(/\\([;:\\])/g, '$1');
+            }
+        });
+        return PayloadParser.readProperties(properties, format.properties, ',');
+    }
+};
@@ -0,0 +1,86 @@
+class PresenceLog {
+    static isCheckOut(record) {
+        return record.event_type === 'check_out';
+    }
+
+    static badgeKey(record) {
+        return record.raw_qr_data || `${record.name}|${record.country}`;
+    }
+
+    static buildVisits(records) {
+        // Pair each check-in with the next check-out of the same badge, in scan order
+        const byBadge = new Map();
+        [...records]
+            .sort((a, b) => new Date(a.scan_timestamp) - new Date(b.scan_timestamp))
+            .forEach(record => {
+                const key = PresenceLog.badgeKey(record);
+                if (!byBadge.has(key)) {
+                    byBadge.set(key, []);
+                }
+                byBadge.get(key).push(record);
+            });
+
+        const visits = [];
+        byBadge.forEach(badgeRecords => {
+            let open = null;
+            badgeRecords.forEach(record => {
+                if (!PresenceLog.isCheckOut(record)) {
+                    if (open) {
+                        visits.push(PresenceLog.createVisit(open, null));
+                    }
+                    open = record;
+                } else if (open) {
+                    visits.push(PresenceLog.createVisit(open, record));
+                    open = null;
+                } else {
+                    console.log('Check-out without a matching check-in ignored:', record.id);
+                }
+            });
+            if (open) {
+                visits.push(PresenceLog.createVisit(open, null));
+            }
+        });
+
+        return visits;
+    }
+
+    static createVisit(checkIn, checkOut) {
+        return {
+            checkIn: checkIn,
+            checkOut: checkOut,
+            durationMs: checkOut ? new Date(checkOut.scan_timestamp) - new Date(checkIn.scan_timestamp) : null
+        };
+    }
+
+    static openCheckIns(records) {
+        const open = new Map();
+        PresenceLog.buildVisits(records).forEach(visit => {
+            if (!visit.checkOut) {
+                open.set(PresenceLog.badgeKey(visit.checkIn), visit.checkIn);
+            }
+        });
+        return open;
+    }
+
+    static formatDuration(durationMs) {
+        if (durationMs === null || durationMs === undefined) {
+            return '';
+        }
+        const totalMinutes = Math.max(0, Math.round(durationMs / 60000));
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+    }
+
+    static formatDurationClock(durationMs) {
+        // HH:MM:SS, which spreadsheets read as a duration
+        if (durationMs === null || durationMs === undefined) {
+            return '';
+        }
+        const totalSeconds = Math.max(0, Math.round(durationMs / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+    }
+}
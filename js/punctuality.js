@@ -0,0 +1,97 @@
+class Punctuality {
+    static get STATUSES() {
+        return {
+            early: 'Early',
+            on_time: 'On time',
+            late: 'Late',
+            outside: 'Outside session'
+        };
+    }
+
+    static get DEFAULTS() {
+        // Check-ins up to an hour before the start are early; more than 5 minutes after it, late
+        return { grace_minutes: 5, early_minutes: 60 };
+    }
+
+    static of(session) {
+        // 0 is a valid setting for both, so only missing values fall back to the defaults
+        const defaults = Punctuality.DEFAULTS;
+        const value = (key) => (session && Number.isInteger(session[key]) ? session[key] : defaults[key]);
+        return { grace_minutes: value('grace_minutes'), early_minutes: value('early_minutes') };
+    }
+
+    static validate(session) {
+        if (session.grace_minutes !== undefined && !(Number.isInteger(session.grace_minutes) && session.grace_minutes >= 0)) {
+            throw new Error('Grace period must be a whole number of minutes');
+        }
+        if (session.early_minutes !== undefined && !(Number.isInteger(session.early_minutes) && session.early_minutes >= 0)) {
+            throw new Error('Early check-in window must be a whole number of minutes');
+        }
+    }
+
+    static classify(session, scanTimestamp) {
+        // Returns { status, minutes } with minutes relative to the start (negative = before it),
+        // or null for sessions without a start time
+        if (!session || !session.starts_at) {
+            return null;
+        }
+
+        const { grace_minutes, early_minutes } = Punctuality.of(session);
+        const start = new Date(session.starts_at).getTime();
+        const time = new Date(scanTimestamp).getTime();
+        const minutes = Math.round((time - start) / 60000);
+
+        let status;
+        if (time < start - early_minutes * 60000 || (session.ends_at && time > new Date(session.ends_at).getTime())) {
+            status = 'outside';
+        } else if (time < start) {
+            status = 'early';
+        } else if (time <= start + grace_minutes * 60000) {
+            status = 'on_time';
+        } else {
+            status = 'late';
+        }
+        return { status: status, minutes: minutes };
+    }
+
+    static describe(classification) {
+        if (!classification) {
+            return '';
+        }
+        const minutes = Math.max(1, Math.abs(classification.minutes));
+        if (classification.status === 'early') {
+            return `Early · ${minutes} min before start`;
+        }
+        if (classification.status === 'late') {
+            return `Late · ${minutes} min after start`;
+        }
+        return Punctuality.STATUSES[classification.status];
+    }
+
+    static summarize(session, arrivals) {
+        // arrivals: each attendee's first check-in, so re-entries after a break aren't counted as late
+        const summary = { early: 0, on_time: 0, late: 0, outside: 0, total: 0, onTimeRate: null, averageLateMinutes: null };
+        let lateMinutes = 0;
+
+        arrivals.forEach(record => {
+            const classification = Punctuality.classify(session, record.scan_timestamp);
+            if (!classification) {
+                return;
+            }
+            summary[classification.status]++;
+            summary.total++;
+            if (classification.status === 'late') {
+                lateMinutes += classification.minutes;
+            }
+        });
+
+        const inWindow = summary.early + summary.on_time + summary.late;
+        if (inWindow > 0) {
+            summary.onTimeRate = (summary.early + summary.on_time) / inWindow;
+        }
+        if (summary.late > 0) {
+            summary.averageLateMinutes = Math.round(lateMinutes / summary.late);
+        }
+        return summary;
+    }
+}
@@ -0,0 +1,115 @@
+class PwaSupport {
+    constructor({ onStatus, scriptUrl = 'sw.js', updateCheckInterval = 60 * 60 * 1000 } = {}) {
+        this.onStatus = onStatus; // Called with a short human-readable status line
+        this.scriptUrl = scriptUrl;
+        this.updateCheckInterval = updateCheckInterval; // Kiosk tablets stay open for days; look for new versions hourly
+        this.registration = null;
+        this.installPrompt = null; // The deferred beforeinstallprompt event, when the browser offers installation
+        this.reloading = false;
+
+        this.initializeElements();
+        this.bindEvents();
+    }
+
+    initializeElements() {
+        this.updateBanner = document.getElementById('updateBanner');
+        this.installBtn = document.getElementById('installAppBtn');
+    }
+
+    bindEvents() {
+        document.getElementById('updateReloadBtn').addEventListener('click', () => this.applyUpdate());
+        document.getElementById('updateDismissBtn').addEventListener('click', () => this.updateBanner.classList.add('hidden'));
+        this.installBtn.addEventListener('click', () => this.install());
+
+        window.addEventListener('beforeinstallprompt', (event) => {
+            // Keep the browser's mini-infobar quiet and offer installation from our own button
+            event.preventDefault();
+            this.installPrompt = event;
+            this.installBtn.classList.remove('hidden');
+        });
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            this.installBtn.classList.add('hidden');
+            this.reportStatus('📲 Installed - the scanner can now be opened from the home screen');
+        });
+    }
+
+    async register() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+            console.log('Service workers unavailable - offline reloads are not supported here');
+            return;
+        }
+
+        try {
+            this.registration = await navigator.serviceWorker.register(this.scriptUrl);
+        } catch (error) {
+            console.log('Service worker registration failed:', error.message);
+            return;
+        }
+
+        // A version that finished installing while the page was closed is already waiting
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdate();
+        }
+        this.registration.addEventListener('updatefound', () => this.trackInstall(this.registration.installing));
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // Also fires when the very first worker takes over; only reload when the user asked for the update
+            if (this.reloading) {
+                window.location.reload();
+            }
+        });
+        setInterval(() => {
+            this.registration.update().catch(error => console.log('Update check failed:', error.message));
+        }, this.updateCheckInterval);
+    }
+
+    trackInstall(worker) {
+        if (!worker) {
+            return;
+        }
+        worker.addEventListener('statechange', () => {
+            if (worker.state !== 'installed') {
+                return;
+            }
+            if (navigator.serviceWorker.controller) {
+                this.showUpdate();
+            } else {
+                this.reportStatus('📦 Scanner saved for offline use - reloads work without Wi-Fi');
+            }
+        });
+    }
+
+    showUpdate() {
+        this.updateBanner.classList.remove('hidden');
+    }
+
+    applyUpdate() {
+        // The waiting worker takes over and controllerchange reloads the page; queued scans are kept in storage
+        const waiting = this.registration && this.registration.waiting;
+        this.updateBanner.classList.add('hidden');
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+        this.reloading = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    async install() {
+        if (!this.installPrompt) {
+            return;
+        }
+        const deferred = this.installPrompt;
+        this.installPrompt = null;
+        this.installBtn.classList.add('hidden');
+        deferred.prompt();
+        const { outcome } = await deferred.userChoice;
+        console.log('Install prompt outcome:', outcome);
+    }
+
+    reportStatus(message) {
+        if (this.onStatus) {
+            this.onStatus(message);
+        }
+    }
+}
@@ -0,0 +1,215 @@
+class ParticipantRegistry {
+    constructor(storageKey = 'qr_participant_registry') {
+        this.storageKey = storageKey;
+        this.participants = this.load();
+        this.buildIndex();
+    }
+
+    get size() {
+        return this.participants.length;
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error reading participant registry:', error);
+            return [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.participants));
+        this.buildIndex();
+    }
+
+    buildIndex() {
+        // Two lookups: exact "name|country" and an accent/case-insensitive one
+        this.exactIndex = new Map();
+        this.normalizedIndex = new Map();
+        this.participants.forEach(participant => {
+            this.exactIndex.set(`${participant.name}|${participant.country}`, participant);
+            this.normalizedIndex.set(ParticipantRegistry.participantKey(participant.name, participant.country), participant);
+        });
+    }
+
+    async importFile(file) {
+        const text = await file.text();
+        return this.importText(text, ParticipantRegistry.detectFormat(file.name, text));
+    }
+
+    importText(text, format = 'csv') {
+        const participants = this.parseText(text, format);
+
+        this.participants = participants;
+        this.save();
+        console.log(`Imported ${participants.length} participants into the registry`);
+        return participants.length;
+    }
+
+    parseText(text, format = 'csv') {
+        // Parse without saving, so other pages can read a participant file without replacing the roster
+        let rows;
+        if (format === 'json') {
+            const data = JSON.parse(text);
+            rows = Array.isArray(data) ? data : (data.participants || data.data || []);
+        } else {
+            rows = ParticipantRegistry.csvToObjects(text);
+        }
+
+        const participants = rows
+            .map((row, index) => this.normalizeParticipant(row, index))
+            .filter(participant => participant.name && participant.country);
+
+        if (participants.length === 0) {
+            throw new Error('No participants with a name and country were found');
+        }
+        return participants;
+    }
+
+    normalizeParticipant(row, index) {
+        // Accept common header spellings regardless of case or separators
+        const fields = {};
+        Object.keys(row).forEach(key => {
+            fields[key.toLowerCase().replace(/[\s_-]+/g, '')] = typeof row[key] === 'string' ? row[key].trim() : row[key];
+        });
+
+        const lastName = fields.lastname || fields.surname || fields.familyname || '';
+        const firstName = fields.firstname || fields.givenname || '';
+        let name = fields.name || fields.fullname || '';
+
+        // Match the "LAST NAME, First Name" shape parseQRContent produces
+        if (!name && lastName && firstName) {
+            name = `${lastName}, ${firstName}`;
+        } else if (!name) {
+            name = lastName || firstName;
+        }
+
+        return {
+            id: String(fields.id || fields.participantid || fields.delegateid || `participant_${index + 1}`),
+            name: name,
+            country: fields.country || '',
+            last_name: lastName,
+            first_name: firstName
+        };
+    }
+
+    match(name, country) {
+        if (!name || !country) {
+            return null;
+        }
+
+        const exact = this.exactIndex.get(`${name}|${country}`);
+        if (exact) {
+            return { participant: exact, matchType: 'exact' };
+        }
+
+        const normalized = this.normalizedIndex.get(ParticipantRegistry.participantKey(name, country));
+        if (normalized) {
+            return { participant: normalized, matchType: 'normalized' };
+        }
+
+        return null;
+    }
+
+    getNotArrived(records) {
+        const arrivedIds = new Set();
+        records.forEach(record => {
+            if (record.participant_id) {
+                arrivedIds.add(record.participant_id);
+            } else {
+                const match = this.match(record.name, record.country);
+                if (match) {
+                    arrivedIds.add(match.participant.id);
+                }
+            }
+        });
+        return this.participants.filter(participant => !arrivedIds.has(participant.id));
+    }
+
+    clear() {
+        this.participants = [];
+        localStorage.removeItem(this.storageKey);
+        this.buildIndex();
+    }
+
+    static normalizeText(value) {
+        return String(value || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s*,\s*/g, ', ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    static participantKey(name, country) {
+        return `${ParticipantRegistry.normalizeText(name)}|${ParticipantRegistry.normalizeText(country)}`;
+    }
+
+    static detectFormat(fileName, text) {
+        return /\.json$/i.test(fileName) || /^\s*[\[{]/.test(text) ? 'json' : 'csv';
+    }
+
+    static parseCSV(text) {
+        // Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF line endings
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(cell => cell.trim()));
+    }
+
+    static csvToObjects(text) {
+        const rows = ParticipantRegistry.parseCSV(text.replace(/^\uFEFF/, ''));
+        if (rows.length < 2) {
+            return [];
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        return rows.slice(1).map(cells => {
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = (cells[index] || '').trim();
+            });
+            return row;
+        });
+    }
+}
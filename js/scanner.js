@@ -4,37 +4,248 @@ class QRAttendanceScanner {
         this.canvas = document.getElementById('canvas');
         this.ctx = this.canvas.getContext('2d');
         this.scanning = false;
-        this.stream = null;
-        this.scanInterval = null;
+        this.camera = new CameraController({ video: this.video }); // Camera choice, stream and track controls
+        this.cameras = []; // Video inputs listed in the camera picker
+        this.frameOnly = localStorage.getItem('qr_frame_only') !== 'off'; // Decode only around the on-screen frame
+        this.frameScanner = new FrameScanner({ // Captures frames and decodes them in a Web Worker
+            video: this.video,
+            canvas: this.canvas,
+            onDecode: (code) => this.handleQRDetected(code.data, code),
+            isActive: () => this.scanning,
+            getBaseRegion: () => (this.frameOnly ? this.camera.frameRegion(this.scannerFrame) : null),
+            decoderSettings: BarcodeDecoder.loadSettings()
+        });
         this.lastScannedCode = null;
         this.lastScanTime = 0;
         this.scanCooldown = 2000; // 2 seconds cooldown between same QR scans
         this.useLocalStorage = false; // Will switch to true if API fails
-        this.scanAttempts = 0; // Track scanning attempts for status updates
-        this.scannedQRCodes = new Set(); // Track all scanned QR codes to prevent duplicates
-        this.currentCamera = 'environment'; // Track current camera: 'environment' or 'user'
+        this.scannedQRCodes = new Map(); // Badge -> time of its latest check-in in this session, for the duplicate policy
+        this.pendingOverride = null; // Badge (or manual entry) shown on the duplicate error screen, until an operator overrides it
+        this.registry = new ParticipantRegistry(); // Registered participants imported from roster CSV/JSON
+        this.sessions = new SessionManager(); // Event sessions, each with its own attendance ledger
+        this.editingSessionId = null; // Session being edited in the session form (null when creating)
+        this.syncQueue = new SyncQueue(); // Outbox of writes/deletes that have not reached the API yet
+        this.bulkWriter = new BulkWriter(); // Session clears and replace-restores: bulk requests, or limited parallel ones
+        this.localStore = new LocalAttendanceStore({
+            // The old localStorage blob only ever held records that never reached the API
+            onMigrate: (records) => records.forEach(record => this.syncQueue.enqueueCreate(record))
+        }); // IndexedDB store for records saved while offline
+        this.scanMode = localStorage.getItem('qr_scan_mode') || 'checkin'; // 'checkin' or 'checkinout'
+        this.openCheckIns = new Map(); // Badges currently checked in (check-in/check-out mode)
+        this.badgeVerifier = new BadgeVerifier(); // Signed badge verification settings and keys
+        this.payloadParser = new PayloadParser(); // Configurable QR payload formats and field schema
+        this.dashboard = new AttendanceDashboard(this.registry); // Charts and per-country counts over the loaded records
+        this.backups = new BackupManager({ // Backup files, restore and automatic snapshots before bulk clears
+            localStore: this.localStore,
+            sessions: this.sessions
+        });
+        this.exporter = new AttendanceExporter({ // CSV, Excel, JSON and printable report exports
+            sessions: this.sessions,
+            payloadParser: this.payloadParser,
+            registry: this.registry
+        });
+        this.liveSync = new LiveSync({ // Shares scans with the other entrance devices in near real time
+            onChange: () => this.loadAttendanceRecords(),
+            onStatus: (text) => { this.liveSyncStatus.textContent = text; },
+            isEnabled: () => !this.useLocalStorage
+        });
+        this.audit = new AuditLog({ // Append-only log of creates, deletes, clears and overrides
+            localStore: this.localStore,
+            deviceId: this.liveSync.deviceId
+        });
+        this.syncInterval = null;
+        this.records = []; // Last loaded attendance records, used by the "not yet arrived" view
+        this.loadingRecords = null; // Record load in progress, see loadAttendanceRecords
+        this.queuedLoad = null; // Load requested while another was running
+        this.knownRecords = []; // Non-deleted records from every session, searched by manual check-in
+        this.trash = []; // Soft-deleted records of the active session
+        this.recordsView = 'attendance'; // 'attendance', 'pending', 'dashboard' or 'trash'
+        this.manualCheckIn = new ManualCheckIn({ // Type-ahead check-in for attendees without a working badge
+            registry: this.registry,
+            getRecords: () => this.knownRecords,
+            onSubmit: (entry) => this.checkInManually(entry)
+        });
+        this.imageScanner = new ImageBatchScanner({ // Decodes uploaded photos and lists badges for review
+            getDecoderSettings: () => this.frameScanner.decoderSettings,
+            describe: (qrData) => this.describeBadge(qrData),
+            onConfirm: (item) => this.confirmUploadedBadge(item)
+        });
+        this.recordTable = new AttendanceTable({ // Search, filters, sorting and paging for the arrived list
+            renderRow: (visit, number) => this.renderAttendanceRow(visit, number),
+            onRename: (visit, name) => this.renameVisit(visit, name)
+        });
+        this.kiosk = new KioskMode({ // Locked-down self check-in screen for unattended tablets
+            isCameraLive: () => this.camera.live,
+            restartCamera: () => this.startScanner()
+        });
+        this.pwa = new PwaSupport({ // Service worker for offline reloads, install button and update notice
+            onStatus: (message) => this.updateStatus(message)
+        });
 
         this.initializeElements();
         this.bindEvents();
+        this.renderSessions();
+        this.startSyncLoop();
+        this.liveSync.start();
         this.loadAttendanceRecords();
+        this.kiosk.resume();
+        this.pwa.register();
     }
 
     initializeElements() {
         this.startBtn = document.getElementById('startBtn');
         this.stopBtn = document.getElementById('stopBtn');
         this.switchCameraBtn = document.getElementById('switchCameraBtn');
+        this.cameraSelect = document.getElementById('cameraSelect');
+        this.cameraControls = document.getElementById('cameraControls');
+        this.torchBtn = document.getElementById('torchBtn');
+        this.zoomControl = document.getElementById('zoomControl');
+        this.zoomInput = document.getElementById('zoomInput');
+        this.focusControl = document.getElementById('focusControl');
+        this.focusModeSelect = document.getElementById('focusModeSelect');
+        this.focusDistanceControl = document.getElementById('focusDistanceControl');
+        this.focusDistanceInput = document.getElementById('focusDistanceInput');
+        this.frameOnlyCheckbox = document.getElementById('frameOnlyCheckbox');
+        this.kioskPinSetting = document.getElementById('kioskPinSetting');
+        this.kioskIdleInput = document.getElementById('kioskIdleInput');
+        this.kioskPinStatus = document.getElementById('kioskPinStatus');
+        this.scannerFrame = document.querySelector('.scanner-frame');
         this.scanResult = document.getElementById('scanResult');
         this.status = document.getElementById('status');
         this.attendanceTable = document.getElementById('attendanceTable');
         this.recordCount = document.getElementById('recordCount');
         this.exportBtn = document.getElementById('exportBtn');
+        this.exportMenu = document.getElementById('exportMenu');
+        this.printReport = document.getElementById('printReport');
+        this.importRosterBtn = document.getElementById('importRosterBtn');
+        this.rosterFileInput = document.getElementById('rosterFileInput');
+        this.attendanceViewBtn = document.getElementById('attendanceViewBtn');
+        this.pendingViewBtn = document.getElementById('pendingViewBtn');
+        this.dashboardViewBtn = document.getElementById('dashboardViewBtn');
+        this.trashViewBtn = document.getElementById('trashViewBtn');
+        this.trashContainer = document.getElementById('trashContainer');
+        this.trashTable = document.getElementById('trashTable');
+        this.trashCount = document.getElementById('trashCount');
+        this.attendanceContainer = document.getElementById('attendanceContainer');
+        this.pendingContainer = document.getElementById('pendingContainer');
+        this.pendingTable = document.getElementById('pendingTable');
+        this.pendingCount = document.getElementById('pendingCount');
+        this.rosterInfo = document.getElementById('rosterInfo');
+        this.sessionSelect = document.getElementById('sessionSelect');
+        this.sessionSchedule = document.getElementById('sessionSchedule');
+        this.sessionForm = document.getElementById('sessionForm');
+        this.sessionNameInput = document.getElementById('sessionNameInput');
+        this.sessionStartInput = document.getElementById('sessionStartInput');
+        this.sessionEndInput = document.getElementById('sessionEndInput');
+        this.sessionDuplicatePolicySelect = document.getElementById('sessionDuplicatePolicySelect');
+        this.sessionReentryInput = document.getElementById('sessionReentryInput');
+        this.sessionGraceInput = document.getElementById('sessionGraceInput');
+        this.sessionEarlyInput = document.getElementById('sessionEarlyInput');
+        this.storageMode = document.getElementById('storageMode');
+        this.liveSyncStatus = document.getElementById('liveSyncStatus');
+        this.scanModeSelect = document.getElementById('scanModeSelect');
+        this.scanModeSelect.value = this.scanMode;
+        this.operatorInput = document.getElementById('operatorInput');
+        this.operatorInput.value = this.audit.operator;
+        this.signatureAlgorithmSelect = document.getElementById('signatureAlgorithmSelect');
+        this.signatureKeyInput = document.getElementById('signatureKeyInput');
+        this.permissiveBadgesCheckbox = document.getElementById('permissiveBadgesCheckbox');
+        this.payloadConfigInput = document.getElementById('payloadConfigInput');
+        this.decoderEngineSelect = document.getElementById('decoderEngineSelect');
+        this.decoderInversionSelect = document.getElementById('decoderInversionSelect');
+        this.decoderFormatCheckboxes = [...document.querySelectorAll('#decoderSettingsForm input[name="decoderFormat"]')];
+        this.decoderSupport = document.getElementById('decoderSupport');
+        this.restoreFileInput = document.getElementById('restoreFileInput');
+        this.restoreModeSelect = document.getElementById('restoreModeSelect');
+        this.snapshotSelect = document.getElementById('snapshotSelect');
+        this.renderBadgeSecurity();
+        this.renderDecoderSettings();
+        this.renderKioskSettings();
+        this.frameOnlyCheckbox.checked = this.frameOnly;
+        this.renderCameraList();
+        this.renderCameraControls();
+        this.renderPayloadConfig();
+        this.renderSnapshots();
     }
 
     bindEvents() {
         this.startBtn.addEventListener('click', () => this.startScanner());
         this.stopBtn.addEventListener('click', () => this.stopScanner());
         this.switchCameraBtn.addEventListener('click', () => this.switchCamera());
-        this.exportBtn.addEventListener('click', () => this.exportToCSV());
+        this.cameraSelect.addEventListener('change', () => this.selectCamera(this.cameraSelect.value));
+        this.torchBtn.addEventListener('click', () => this.applyCameraSetting('torch', !this.camera.capabilities().torchOn));
+        this.zoomInput.addEventListener('input', () => this.applyCameraSetting('zoom', parseFloat(this.zoomInput.value)));
+        this.focusModeSelect.addEventListener('change', () => this.applyCameraSetting('focusMode', this.focusModeSelect.value));
+        this.focusDistanceInput.addEventListener('input', () => this.applyCameraSetting('focusDistance', parseFloat(this.focusDistanceInput.value)));
+        this.frameOnlyCheckbox.addEventListener('change', () => {
+            this.frameOnly = this.frameOnlyCheckbox.checked;
+            localStorage.setItem('qr_frame_only', this.frameOnly ? 'on' : 'off');
+            this.frameScanner.resetRegion();
+        });
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            // Cameras plugged in or removed while the page is open
+            navigator.mediaDevices.addEventListener('devicechange', () => this.renderCameraList());
+        }
+        this.scanModeSelect.addEventListener('change', () => this.setScanMode(this.scanModeSelect.value));
+        this.exportBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.toggleExportMenu();
+        });
+        this.exportMenu.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.toggleExportMenu(false);
+                this.exportRecords(button.dataset.export);
+            });
+        });
+        document.addEventListener('click', (event) => {
+            if (!this.exportMenu.contains(event.target)) {
+                this.toggleExportMenu(false);
+            }
+        });
+        this.importRosterBtn.addEventListener('click', () => this.rosterFileInput.click());
+        this.rosterFileInput.addEventListener('change', (event) => this.importRoster(event.target.files[0]));
+        this.attendanceViewBtn.addEventListener('click', () => this.setRecordsView('attendance'));
+        this.pendingViewBtn.addEventListener('click', () => this.setRecordsView('pending'));
+        this.dashboardViewBtn.addEventListener('click', () => this.setRecordsView('dashboard'));
+        this.trashViewBtn.addEventListener('click', () => this.setRecordsView('trash'));
+        this.operatorInput.addEventListener('change', () => this.audit.setOperator(this.operatorInput.value));
+        this.sessionSelect.addEventListener('change', () => this.switchSession(this.sessionSelect.value));
+        this.sessionDuplicatePolicySelect.addEventListener('change', () => this.toggleReentryInput());
+        this.scanResult.addEventListener('click', (event) => {
+            if (event.target.closest('[data-action="override-duplicate"]')) {
+                this.overrideDuplicate();
+            }
+        });
+        document.getElementById('newSessionBtn').addEventListener('click', () => this.openSessionForm(null));
+        document.getElementById('editSessionBtn').addEventListener('click', () => this.openSessionForm(this.sessions.activeId));
+        document.getElementById('cancelSessionBtn').addEventListener('click', () => this.closeSessionForm());
+        document.getElementById('clearSessionBtn').addEventListener('click', () => this.confirmClearSession());
+        this.sessionForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveSessionForm();
+        });
+        document.getElementById('badgeSecurityForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveBadgeSecurity();
+        });
+        document.getElementById('decoderSettingsForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveDecoderSettings();
+        });
+        document.getElementById('kioskSettingsForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveKioskSettings();
+        });
+        document.getElementById('kioskModeBtn').addEventListener('click', () => this.startKiosk());
+        document.getElementById('payloadConfigForm').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.savePayloadConfig();
+        });
+        document.getElementById('resetPayloadConfigBtn').addEventListener('click', () => this.resetPayloadConfig());
+        document.getElementById('downloadBackupBtn').addEventListener('click', () => this.downloadBackup());
+        document.getElementById('restoreBackupBtn').addEventListener('click', () => this.restoreFileInput.click());
+        this.restoreFileInput.addEventListener('change', (event) => this.restoreBackupFile(event.target.files[0]));
+        document.getElementById('restoreSnapshotBtn').addEventListener('click', () => this.restoreSnapshot(this.snapshotSelect.value));
         
         // Test button - also run diagnostics
         document.getElementById('manualBtn').addEventListener('click', () => {
@@ -60,217 +271,165 @@ class QRAttendanceScanner {
     async startScanner() {
         try {
             this.updateStatus('Starting camera...');
-            
-            // Request camera access with optimized settings for QR scanning
-            this.stream = await navigator.mediaDevices.getUserMedia({
-                video: { 
-                    facingMode: this.currentCamera,
-                    width: { ideal: 1920, min: 640 },
-                    height: { ideal: 1080, min: 480 },
-                    frameRate: { ideal: 30, min: 15 }
-                }
-            });
-
-            this.video.srcObject = this.stream;
-            
-            this.video.onloadedmetadata = () => {
-                // Optimize canvas size for performance while maintaining quality
-                const maxSize = 800;
-                const scale = Math.min(maxSize / this.video.videoWidth, maxSize / this.video.videoHeight, 1);
-                
-                this.canvas.width = this.video.videoWidth * scale;
-                this.canvas.height = this.video.videoHeight * scale;
-                
-                console.log('Video loaded:', this.video.videoWidth, 'x', this.video.videoHeight);
-                console.log('Canvas optimized to:', this.canvas.width, 'x', this.canvas.height);
-                this.startScanning();
-            };
+            const { fallback } = await this.openCamera();
 
             this.startBtn.disabled = true;
             this.stopBtn.disabled = false;
             this.switchCameraBtn.disabled = false;
-            const cameraName = this.currentCamera === 'environment' ? 'Back' : 'Front';
-            this.updateStatus(`${cameraName} camera started. Position QR code within the frame.`);
+            this.updateStatus(`${this.camera.describe()} started${fallback ? ' (fallback)' : ''}. Position QR code within the frame.`);
 
         } catch (error) {
-            console.error('Error accessing camera:', error);
-            
-            // Fallback to opposite camera
-            const fallbackCamera = this.currentCamera === 'environment' ? 'user' : 'environment';
-            try {
-                this.stream = await navigator.mediaDevices.getUserMedia({
-                    video: { 
-                        facingMode: fallbackCamera,
-                        width: { ideal: 1920, min: 640 },
-                        height: { ideal: 1080, min: 480 },
-                        frameRate: { ideal: 30, min: 15 }
-                    }
-                });
-                
-                this.video.srcObject = this.stream;
-                this.video.onloadedmetadata = () => {
-                    // Optimize canvas size for performance
-                    const maxSize = 800;
-                    const scale = Math.min(maxSize / this.video.videoWidth, maxSize / this.video.videoHeight, 1);
-                    
-                    this.canvas.width = this.video.videoWidth * scale;
-                    this.canvas.height = this.video.videoHeight * scale;
-                    this.startScanning();
-                };
-
-                this.currentCamera = fallbackCamera;
-                this.startBtn.disabled = true;
-                this.stopBtn.disabled = false;
-                this.switchCameraBtn.disabled = false;
-                const cameraName = fallbackCamera === 'environment' ? 'Back' : 'Front';
-                this.updateStatus(`${cameraName} camera started (fallback). Position QR code within the frame.`);
-
-            } catch (fallbackError) {
-                this.updateStatus('Error: Unable to access camera. Please check permissions.');
-                console.error('Fallback camera error:', fallbackError);
-                this.switchCameraBtn.disabled = true;
-            }
+            this.updateStatus('Error: Unable to access camera. Please check permissions.');
+            console.error('Camera error:', error);
+            this.switchCameraBtn.disabled = true;
         }
     }
 
+    async openCamera(options = {}) {
+        // Single path for start, switch and picker changes; decoding restarts on the new stream
+        this.frameScanner.stop();
+        const result = await this.camera.open(options);
+        this.startScanning();
+        this.renderCameraList();
+        this.renderCameraControls();
+        return result;
+    }
+
     startScanning() {
         this.scanning = true;
-        this.scanAttempts = 0;
         console.log('Starting optimized QR scanning...');
-        this.scanInterval = setInterval(() => {
-            this.scanFrame();
-        }, 25); // Scan every 25ms for very fast detection
+        this.frameScanner.start();
         this.updateStatus('🔍 Scanning for QR codes...');
     }
 
     async stopScanner() {
         this.scanning = false;
-        this.scanAttempts = 0;
-        
-        if (this.scanInterval) {
-            clearInterval(this.scanInterval);
-            this.scanInterval = null;
-        }
-
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-            this.stream = null;
-        }
+        this.frameScanner.stop();
+        this.camera.stop();
 
-        this.video.srcObject = null;
         this.startBtn.disabled = false;
         this.stopBtn.disabled = true;
         this.switchCameraBtn.disabled = true;
+        this.renderCameraControls();
         
         const qrCount = this.scannedQRCodes.size;
+        const sessionName = this.sessions.active.name;
         
-        // If there are attendance records, prompt for CSV download and reset
+        // Records stay in their session ledger, so stopping only offers an export
         if (qrCount > 0) {
-            const shouldDownload = confirm(`Scanner stopped with ${qrCount} attendance records.\n\nDownload CSV file and clear all data?`);
+            const shouldDownload = confirm(`Scanner stopped with ${qrCount} attendance records in "${sessionName}".\n\nDownload CSV file for this session?`);
             
             if (shouldDownload) {
-                this.updateStatus('📥 Exporting CSV and clearing data...');
-                
-                // Export CSV
-                await this.exportToCSV();
-                
-                // Clear all attendance data
-                await this.clearAllAttendance();
-                
-                this.updateStatus(`✅ CSV downloaded and ${qrCount} records cleared. Ready for next session.`);
+                this.updateStatus('📥 Exporting session CSV...');
+                await this.exportRecords('csv');
             } else {
-                this.updateStatus(`📹 Scanner stopped. ${qrCount} records preserved.`);
+                this.updateStatus(`📹 Scanner stopped. ${qrCount} records kept in "${sessionName}".`);
             }
         } else {
             this.updateStatus('📹 Scanner stopped. No attendance records to export.');
         }
     }
 
+    nextCamera() {
+        // Cycle through the listed cameras; without a list (no permission yet) flip front/back
+        const ids = this.cameras.map(camera => camera.deviceId);
+        if (ids.length > 1) {
+            const current = ids.indexOf(this.camera.activeDeviceId || this.camera.deviceId);
+            return { deviceId: ids[(current + 1) % ids.length] };
+        }
+        return { deviceId: '', facingMode: this.camera.facingMode === 'environment' ? 'user' : 'environment' };
+    }
+
     async switchCamera() {
-        if (!this.scanning) {
-            // If scanner is not running, just toggle the setting
-            this.currentCamera = this.currentCamera === 'environment' ? 'user' : 'environment';
-            const cameraName = this.currentCamera === 'environment' ? 'Back' : 'Front';
+        const next = this.nextCamera();
+        await this.selectCamera(next.deviceId, next.facingMode);
+    }
+
+    async selectCamera(deviceId, facingMode = this.camera.facingMode) {
+        if (!this.camera.active) {
+            // If scanner is not running, just remember the choice for the next start
+            this.camera.remember(deviceId);
+            this.camera.facingMode = facingMode;
+            this.renderCameraList();
+            const camera = this.cameras.find(entry => entry.deviceId === deviceId);
+            const cameraName = camera ? camera.label : (facingMode === 'environment' ? 'Back camera' : 'Front camera');
             this.updateStatus(`Camera switched to ${cameraName}. Click "Start Scanner" to begin.`);
             return;
         }
 
         try {
             this.updateStatus('🔄 Switching camera...');
-            
-            // Stop current stream
-            if (this.stream) {
-                this.stream.getTracks().forEach(track => track.stop());
+            const { fallback } = await this.openCamera({ deviceId: deviceId, facingMode: facingMode });
+            if (!fallback) {
+                this.camera.remember(deviceId);
             }
-            
-            // Toggle camera
-            this.currentCamera = this.currentCamera === 'environment' ? 'user' : 'environment';
-            
-            // Start new camera
-            this.stream = await navigator.mediaDevices.getUserMedia({
-                video: { 
-                    facingMode: this.currentCamera,
-                    width: { ideal: 1920, min: 640 },
-                    height: { ideal: 1080, min: 480 },
-                    frameRate: { ideal: 30, min: 15 }
-                }
-            });
-
-            this.video.srcObject = this.stream;
-            this.video.onloadedmetadata = () => {
-                // Optimize canvas size for performance
-                const maxSize = 800;
-                const scale = Math.min(maxSize / this.video.videoWidth, maxSize / this.video.videoHeight, 1);
-                
-                this.canvas.width = this.video.videoWidth * scale;
-                this.canvas.height = this.video.videoHeight * scale;
-                
-                const cameraName = this.currentCamera === 'environment' ? 'Back' : 'Front';
-                this.updateStatus(`✅ Switched to ${cameraName} camera. Scanning active.`);
-            };
+            this.updateStatus(`${fallback ? '⚠️ That camera is unavailable; using' : '✅ Switched to'} ${this.camera.describe()}. Scanning active.`);
 
         } catch (error) {
             console.error('Error switching camera:', error);
-            // Revert camera setting
-            this.currentCamera = this.currentCamera === 'environment' ? 'user' : 'environment';
             this.updateStatus('❌ Camera switch failed. Using previous camera.');
             
-            // Try to restart with original camera
+            // Try to restart with the remembered camera
             this.startScanner();
         }
     }
 
-    scanFrame() {
-        if (!this.scanning || this.video.readyState !== this.video.HAVE_ENOUGH_DATA) {
-            return;
-        }
-
+    async renderCameraList() {
         try {
-            this.scanAttempts++;
-            
-            // Draw the current video frame to optimized canvas
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-            const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-            
-            // Fast QR detection with minimal options for speed
-            const code = jsQR(imageData.data, imageData.width, imageData.height, {
-                inversionAttempts: "dontInvert",
-            });
-            
-            if (code) {
-                console.log('QR Code detected:', code.data);
-                this.handleQRDetected(code.data);
-            }
-            
+            this.cameras = await this.camera.listCameras();
         } catch (error) {
-            console.error('Error in scanFrame:', error);
+            console.error('Error listing cameras:', error);
+            this.cameras = [];
+        }
+
+        const selected = this.camera.activeDeviceId || this.camera.deviceId;
+        this.cameraSelect.innerHTML = '<option value="">Default (back camera)</option>' + this.cameras.map(camera => `
+            <option value="${this.escapeHtml(camera.deviceId)}"${camera.deviceId === selected ? ' selected' : ''}>${this.escapeHtml(camera.label)}</option>
+        `).join('');
+    }
+
+    renderCameraControls() {
+        // Torch, zoom and focus only appear when the running camera supports them
+        const capabilities = this.camera.capabilities();
+        const focusLabels = { continuous: 'Auto', 'single-shot': 'Focus once', manual: 'Manual', none: 'Fixed' };
+
+        this.torchBtn.classList.toggle('hidden', !capabilities.torch);
+        this.torchBtn.classList.toggle('active', capabilities.torchOn);
+        this.zoomControl.classList.toggle('hidden', !capabilities.zoom);
+        if (capabilities.zoom) {
+            this.setRange(this.zoomInput, capabilities.zoom);
         }
+        this.focusControl.classList.toggle('hidden', capabilities.focusModes.length < 2);
+        this.focusModeSelect.innerHTML = capabilities.focusModes.map(mode => `
+            <option value="${this.escapeHtml(mode)}"${mode === capabilities.focusMode ? ' selected' : ''}>${this.escapeHtml(focusLabels[mode] || mode)}</option>
+        `).join('');
+        this.focusDistanceControl.classList.toggle('hidden', !capabilities.focusDistance || capabilities.focusMode !== 'manual');
+        if (capabilities.focusDistance) {
+            this.setRange(this.focusDistanceInput, capabilities.focusDistance);
+        }
+        this.cameraControls.classList.toggle('hidden', !capabilities.torch && !capabilities.zoom && capabilities.focusModes.length < 2);
     }
 
+    setRange(input, range) {
+        input.min = range.min;
+        input.max = range.max;
+        input.step = range.step;
+        if (range.value !== undefined) {
+            input.value = range.value;
+        }
+    }
 
+    async applyCameraSetting(name, value) {
+        try {
+            await this.camera.applySetting(name, value);
+        } catch (error) {
+            console.error(`Error applying camera ${name}:`, error);
+            this.updateStatus(`❌ This camera rejected the ${name} setting.`);
+        }
+        this.renderCameraControls();
+    }
 
-    handleQRDetected(qrData) {
+    handleQRDetected(qrData, code = null) {
         const now = Date.now();
         
         // Prevent rapid duplicate scans within cooldown period
@@ -278,9 +437,12 @@ class QRAttendanceScanner {
             return;
         }
 
-        // Check if this QR code has already been scanned in this session
-        if (this.scannedQRCodes.has(qrData)) {
-            this.showDuplicateError(qrData);
+        // Check the session's duplicate policy before recording a repeat scan
+        if (this.isDuplicate(qrData)) {
+            // Start the cooldown too, so the error screen isn't redrawn for every frame the badge is in view
+            this.lastScannedCode = qrData;
+            this.lastScanTime = now;
+            this.showDuplicateError(qrData, code);
             return;
         }
 
@@ -290,8 +452,7 @@ class QRAttendanceScanner {
         this.lastScannedCode = qrData;
         this.lastScanTime = now;
 
-        console.log('New QR Code detected:', qrData);
-        this.processQRData(qrData);
+        this.routeBadge(qrData, code);
         
         // Resume scanning after processing
         setTimeout(() => {
@@ -299,9 +460,100 @@ class QRAttendanceScanner {
         }, 1000);
     }
 
-    showDuplicateError(qrData) {
-        // Show duplicate scan error with visual feedback
-        this.displayError('QR Code Already Scanned!', 'This attendance has already been recorded in this session.');
+    duplicateCheck(qrData) {
+        // Check-in/check-out mode toggles presence instead, so policies only apply to check-in only mode
+        if (this.scanMode !== 'checkin') {
+            return { allowed: true, repeat: false };
+        }
+        const lastCheckIn = this.scannedQRCodes.get(qrData);
+        return DuplicatePolicy.evaluate(this.sessions.active, lastCheckIn ? new Date(lastCheckIn) : null);
+    }
+
+    isDuplicate(qrData) {
+        return !this.duplicateCheck(qrData).allowed;
+    }
+
+    async routeBadge(qrData, code = null, details = {}) {
+        // In check-in/check-out mode a repeat scan toggles presence instead of being rejected
+        if (this.scanMode === 'checkinout' && this.openCheckIns.has(qrData)) {
+            console.log('Check-out QR Code detected:', qrData);
+            this.processCheckOut(qrData, { ...this.decoderDetails(code), ...details });
+            return true;
+        }
+        console.log('New QR Code detected:', qrData);
+        return this.processQRData(qrData, code, details);
+    }
+
+    describeBadge(qrData) {
+        // Preview for the upload review list; signed badges are only verified on confirmation
+        let note = '';
+        if (this.scanMode === 'checkinout' && this.openCheckIns.has(qrData)) {
+            note = 'Will check out';
+        } else if (this.isDuplicate(qrData)) {
+            note = 'Already checked in';
+        }
+
+        if (this.badgeVerifier.isSigned(qrData)) {
+            return { title: 'Signed badge', subtitle: 'Verified when confirmed', note: note };
+        }
+        const parsedData = this.parseQRContent(qrData);
+        return parsedData.name && parsedData.country
+            ? { title: parsedData.name, subtitle: parsedData.country, note: note }
+            : { title: qrData.length > 80 ? `${qrData.slice(0, 80)}...` : qrData, subtitle: 'Not a recognised badge format', note: note };
+    }
+
+    async confirmUploadedBadge(item) {
+        if (this.isDuplicate(item.data)) {
+            this.showDuplicateError(item.data, item.code, { method: 'image' });
+            return 'duplicate';
+        }
+        const recorded = await this.routeBadge(item.data, item.code, { method: 'image' });
+        return recorded ? 'recorded' : 'failed';
+    }
+
+    checkInManually({ name, country, raw_qr_data }) {
+        // Same duplicate and check-out rules as a badge scan, keyed on the person's badge content
+        const operator = this.audit.operator;
+        if (!operator) {
+            this.displayError('Operator Required', 'Enter your name in the Operator field before checking someone in manually.');
+            this.updateStatus('❌ Manual check-in needs an operator name');
+            this.operatorInput.focus();
+            return false;
+        }
+
+        // Someone already checked in under a different badge string still counts as the same person
+        const key = ParticipantRegistry.participantKey(name, country);
+        const existing = this.records.find(record => !PresenceLog.isCheckOut(record) && ParticipantRegistry.participantKey(record.name, record.country) === key);
+        const qrData = (existing && existing.raw_qr_data) || raw_qr_data || `${name}, ${country}`;
+        const details = { method: 'manual', operator: operator };
+        const parsedData = { name: name, country: country, format: 'manual', fields: {} };
+
+        if (this.scanMode === 'checkinout' && this.openCheckIns.has(qrData)) {
+            console.log('Manual check-out:', qrData);
+            this.processCheckOut(qrData, details);
+            return true;
+        }
+        if (this.isDuplicate(qrData)) {
+            this.showDuplicateError(qrData, null, details, parsedData);
+            return false;
+        }
+
+        console.log('Manual check-in:', name, country);
+        this.recordCheckIn(parsedData, qrData, details);
+        return true;
+    }
+
+    showDuplicateError(qrData, code = null, details = {}, parsedData = null) {
+        // Show duplicate scan error with visual feedback, and let an operator admit this one badge anyway.
+        // parsedData is only set for manual entries, which are recorded as typed rather than decoded again
+        this.displayError('QR Code Already Scanned!', this.duplicateCheck(qrData).message);
+        this.pendingOverride = { qrData: qrData, code: code, details: details, parsedData: parsedData };
+        this.scanResult.firstElementChild.insertAdjacentHTML('beforeend', `
+            <button data-action="override-duplicate" class="mt-3 bg-accent text-white px-3 py-1 rounded-lg hover:bg-accent-hover text-sm">
+                <i class="fas fa-user-check mr-1"></i>Check in anyway
+            </button>
+        `);
+        this.kiosk.feedback('duplicate', this.openCheckIns.get(qrData));
         this.updateStatus('❌ Duplicate QR code - already scanned');
         
         // Brief visual indication with perfect circle
@@ -322,436 +574,1364 @@ class QRAttendanceScanner {
         console.log('Duplicate QR code blocked:', qrData);
     }
 
-    processQRData(qrData) {
+    async overrideDuplicate() {
+        const pending = this.pendingOverride;
+        if (!pending) {
+            return;
+        }
+        const reason = prompt('Check this badge in again despite the duplicate policy?\n\nReason (saved in the audit log):');
+        if (reason === null) {
+            return;
+        }
+
+        // Each override is numbered per badge, so repeated overrides stand out on the record
+        this.pendingOverride = null;
+        const overrideCount = this.records.filter(record => record.raw_qr_data === pending.qrData && record.duplicate_status === 'override').length + 1;
+        const details = {
+            ...pending.details,
+            duplicate_status: 'override',
+            override_count: overrideCount,
+            override_reason: reason
+        };
+        if (pending.parsedData) {
+            this.recordCheckIn(pending.parsedData, pending.qrData, details);
+        } else {
+            await this.routeBadge(pending.qrData, pending.code, details);
+        }
+    }
+
+    repeatDetails(qrData, details) {
+        // Labels a check-in of a badge that already has one in this session
+        if (details.duplicate_status) {
+            return {};
+        }
+        const check = this.duplicateCheck(qrData);
+        return check.repeat ? { duplicate_status: check.status } : {};
+    }
+
+    decoderDetails(code) {
+        // Which engine read the badge, saved on the record for troubleshooting
+        return code ? { decoder_engine: code.engine, barcode_format: code.format } : {};
+    }
+
+    async processQRData(qrData, code = null, details = {}) {
+        // Resolves to true when a check-in was recorded
         try {
+            // Verify signed badges (and enforce strict mode) before trusting the content
+            const verification = await this.badgeVerifier.verify(qrData);
+            if (!this.badgeVerifier.isAccepted(verification)) {
+                this.showRejectedBadge(qrData, verification);
+                return false;
+            }
+            
             // Parse QR data - expecting format "LAST NAME, First Name, Country"
-            const parsedData = this.parseQRContent(qrData);
+            const parsedData = this.parseQRContent(verification.payload);
             
             if (parsedData.name && parsedData.country) {
-                // Show immediate success feedback
-                this.showScanSuccess();
-                
-                // Add to scanned QR codes set to prevent future duplicates
-                this.scannedQRCodes.add(qrData);
-                
-                // Process the attendance record
-                this.saveAttendance(parsedData.name, parsedData.country, qrData);
-                this.displayScanResult(parsedData, qrData);
-                
-                // Update status after success animation
-                setTimeout(() => {
-                    this.updateStatus(`✅ Attendance recorded for ${parsedData.name}`);
-                }, 500);
-            } else {
-                this.displayError('Invalid QR Format', 'Expected format: "LAST NAME, First Name, Country"');
-                this.updateStatus('❌ Invalid QR code format');
+                this.recordCheckIn(parsedData, qrData, {
+                    ...this.decoderDetails(code),
+                    ...details,
+                    badge_signature: verification.status,
+                    payload_format: parsedData.format,
+                    fields: parsedData.fields
+                });
+                return true;
             }
+            this.displayError('Invalid QR Format', 'Expected format: "LAST NAME, First Name, Country" or another configured badge format');
+            this.updateStatus('❌ Invalid QR code format');
         } catch (error) {
             console.error('Error processing QR data:', error);
             this.displayError('Processing Error', 'Unable to process QR code data');
             this.updateStatus('❌ Error processing QR code');
         }
+        return false;
     }
 
-    showScanSuccess() {
-        // Audio feedback for immediate response
-        this.playSuccessSound();
+    recordCheckIn(parsedData, qrData, details = {}) {
+        // Shared by badge scans and manual check-ins once duplicates have been ruled out
+        // Show immediate success feedback
+        this.showScanSuccess();
+        details = { ...details, ...this.repeatDetails(qrData, details) };
         
-        // Visual overlay feedback with perfect circle
-        const overlay = document.getElementById('scanSuccessOverlay');
-        overlay.innerHTML = '<i class="fas fa-check"></i>';
-        overlay.style.background = 'rgba(175, 117, 29, 0.95)';
-        overlay.style.borderColor = 'white';
-        overlay.classList.add('show');
+        // Remember the check-in time for the session's duplicate policy
+        this.scannedQRCodes.set(qrData, Date.now());
+        this.openCheckIns.set(qrData, {
+            name: parsedData.name,
+            country: parsedData.country,
+            scan_timestamp: new Date().toISOString()
+        });
         
-        // Immediate status feedback
-        this.updateStatus('✅ QR Code Successfully Scanned!');
-        console.log('✅ Success animation and sound triggered');
+        // Validate against the imported roster (walk-ins are still recorded, but flagged)
+        const registration = this.checkRegistration(parsedData.name, parsedData.country);
         
-        // Reset scan attempts counter
-        this.scanAttempts = 0;
+        // Process the attendance record
+        this.saveAttendance(parsedData.name, parsedData.country, qrData, {
+            ...registration,
+            ...details
+        });
+        this.displayScanResult(parsedData, qrData, registration, details);
+        this.kiosk.feedback('welcome', parsedData);
+        
+        // Update status after success animation
+        setTimeout(() => {
+            if (registration.registration_status === 'unregistered') {
+                this.updateStatus(`⚠️ Walk-in recorded for ${parsedData.name} - not on the registered roster`);
+            } else if (details.duplicate_status === 'flagged') {
+                this.updateStatus(`⚑ Repeat check-in flagged for ${parsedData.name}`);
+            } else {
+                this.updateStatus(`✅ Attendance recorded for ${parsedData.name}`);
+            }
+        }, 500);
+    }
+
+    showRejectedBadge(qrData, verification) {
+        if (verification.status === 'forged') {
+            // Forged or tampered badges get their own, louder error state
+            this.scanResult.innerHTML = `
+                <div class="text-center forged-badge">
+                    <i class="fas fa-shield-halved text-3xl mb-2"></i>
+                    <p class="font-semibold mb-1">Forged or Tampered Badge</p>
+                    <p class="text-sm">${this.escapeHtml(verification.reason || 'Signature check failed')}. Attendance was not recorded.</p>
+                </div>
+            `;
+            this.kiosk.feedback('error');
+            this.updateStatus('🛡️ Badge signature invalid - possible forgery');
+            console.log('Forged badge rejected:', qrData, verification.reason);
+        } else if (verification.status === 'misconfigured') {
+            this.displayError('Badge Security Not Set Up Correctly', `The verification key could not be loaded. Check the key and algorithm under Badge Security. Details: ${verification.reason}`);
+            this.updateStatus('❌ Badge not checked - fix the badge security key');
+            console.error('Badge verification key could not be loaded:', verification.reason);
+        } else {
+            const message = verification.status === 'unsigned'
+                ? 'Only signed ISLF badges are accepted. Turn on permissive mode to allow legacy formats.'
+                : 'Signed badges cannot be checked until a verification key is configured.';
+            this.displayError('Unsigned Badge Rejected', message);
+            this.updateStatus('❌ Badge rejected - signature required');
+            console.log('Unsigned badge rejected in strict mode:', qrData);
+        }
+
+        const overlay = document.getElementById('scanSuccessOverlay');
+        overlay.innerHTML = '<i class="fas fa-shield-halved"></i>';
+        overlay.style.background = 'rgba(185, 28, 28, 0.95)';
+        overlay.classList.add('show');
         
-        // Hide overlay after showing success
         setTimeout(() => {
             overlay.classList.remove('show');
+            overlay.innerHTML = '<i class="fas fa-check"></i>';
+            overlay.style.background = 'rgba(175, 117, 29, 0.95)';
             this.updateStatus('🔍 Ready to scan next QR code...');
         }, 2000);
     }
 
-    playSuccessSound() {
+    renderBadgeSecurity() {
+        const settings = this.badgeVerifier.settings;
+        this.signatureAlgorithmSelect.value = settings.algorithm;
+        this.signatureKeyInput.value = settings.key;
+        this.permissiveBadgesCheckbox.checked = settings.permissive;
+    }
+
+    saveBadgeSecurity() {
         try {
-            // Create a simple success beep
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
-            
-            oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
-            oscillator.frequency.setValueAtTime(1000, audioContext.currentTime + 0.1);
-            
-            gainNode.gain.setValueAtTime(0, audioContext.currentTime);
-            gainNode.gain.linearRampToValueAtTime(0.1, audioContext.currentTime + 0.01);
-            gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.2);
-            
-            oscillator.start(audioContext.currentTime);
-            oscillator.stop(audioContext.currentTime + 0.2);
+            this.badgeVerifier.save({
+                algorithm: this.signatureAlgorithmSelect.value,
+                key: this.signatureKeyInput.value,
+                permissive: this.permissiveBadgesCheckbox.checked
+            });
+            const mode = this.badgeVerifier.settings.permissive ? 'permissive' : 'strict';
+            this.updateStatus(`🛡️ Badge security saved (${mode} mode)`);
         } catch (error) {
-            console.log('Audio feedback not available:', error);
+            console.error('Error saving badge security settings:', error);
+            this.updateStatus(`❌ ${error.message}`);
         }
     }
 
-    parseQRContent(qrData) {
-        let name = '';
-        let country = '';
+    async renderDecoderSettings() {
+        const settings = this.frameScanner.decoderSettings;
+        this.decoderEngineSelect.value = settings.engine;
+        this.decoderInversionSelect.value = settings.inversion;
+        this.decoderFormatCheckboxes.forEach(checkbox => {
+            checkbox.checked = settings.formats.includes(checkbox.value);
+        });
 
-        // Try different parsing strategies
-        
-        // Strategy 1: "LAST NAME, First Name, Country" (primary format)
-        const threePartMatch = qrData.match(/^([^,]+),\s*([^,]+),\s*(.+)$/);
-        if (threePartMatch) {
-            const lastName = threePartMatch[1].trim();
-            const firstName = threePartMatch[2].trim();
-            name = `${lastName}, ${firstName}`;
-            country = threePartMatch[3].trim();
-            return { name, country };
-        }
+        const supported = await BarcodeDecoder.supportedFormats();
+        const native = Object.keys(BarcodeDecoder.FORMATS).filter(format => supported.includes(format));
+        this.decoderSupport.textContent = native.length > 0
+            ? `This browser's BarcodeDetector reads: ${native.map(format => BarcodeDecoder.FORMATS[format]).join(', ')}. Other selected types are skipped; QR codes fall back to jsQR.`
+            : 'This browser has no BarcodeDetector: only QR codes can be read (with jsQR).';
+    }
 
-        // Strategy 2: "Name: John Doe, Country: USA"
-        const labeledMatch = qrData.match(/Name:\s*([^,]+),\s*Country:\s*(.+)/i);
-        if (labeledMatch) {
-            name = labeledMatch[1].trim();
-            country = labeledMatch[2].trim();
-            return { name, country };
+    saveDecoderSettings() {
+        try {
+            const settings = BarcodeDecoder.saveSettings({
+                engine: this.decoderEngineSelect.value,
+                inversion: this.decoderInversionSelect.value,
+                formats: this.decoderFormatCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value)
+            });
+            this.frameScanner.configure(settings);
+            this.updateStatus(`🔎 Barcode decoding saved (${settings.formats.map(format => BarcodeDecoder.FORMATS[format]).join(', ')})`);
+        } catch (error) {
+            console.error('Error saving decoder settings:', error);
+            this.updateStatus(`❌ ${error.message}`);
         }
+    }
 
-        // Strategy 3: "John Doe, USA" (simple two-part comma separation)
-        const simpleMatch = qrData.match(/^([^,]+),\s*(.+)$/);
-        if (simpleMatch) {
-            name = simpleMatch[1].trim();
-            country = simpleMatch[2].trim();
-            return { name, country };
-        }
+    renderKioskSettings() {
+        this.kioskPinSetting.value = '';
+        this.kioskPinSetting.placeholder = this.kiosk.hasPin ? 'Leave blank to keep the current PIN' : 'Required before starting kiosk mode';
+        this.kioskIdleInput.value = this.kiosk.settings.idleSeconds;
+        this.kioskPinStatus.textContent = this.kiosk.hasPin ? 'A staff PIN is set.' : 'No staff PIN yet.';
+    }
 
-        // Strategy 4: Try JSON format
+    async saveKioskSettings() {
         try {
-            const jsonData = JSON.parse(qrData);
-            if (jsonData.name && jsonData.country) {
-                return { name: jsonData.name.trim(), country: jsonData.country.trim() };
-            }
-            if (jsonData.lastName && jsonData.firstName && jsonData.country) {
-                name = `${jsonData.lastName.trim()}, ${jsonData.firstName.trim()}`;
-                country = jsonData.country.trim();
-                return { name, country };
-            }
-        } catch (e) {
-            // Not JSON, continue with other strategies
+            await this.kiosk.saveSettings({ pin: this.kioskPinSetting.value.trim(), idleSeconds: this.kioskIdleInput.value });
+            this.renderKioskSettings();
+            this.updateStatus('🔒 Kiosk settings saved');
+        } catch (error) {
+            console.error('Error saving kiosk settings:', error);
+            this.updateStatus(`❌ ${error.message}`);
         }
+    }
 
-        // Strategy 5: Split by line breaks
-        const lines = qrData.split('\n').filter(line => line.trim());
-        if (lines.length >= 3) {
-            // Three lines: Last Name, First Name, Country
-            name = `${lines[0].trim()}, ${lines[1].trim()}`;
-            country = lines[2].trim();
-            return { name, country };
-        } else if (lines.length >= 2) {
-            // Two lines: Full Name, Country
-            name = lines[0].trim();
-            country = lines[1].trim();
-            return { name, country };
+    async startKiosk() {
+        try {
+            await this.kiosk.enter();
+        } catch (error) {
+            this.displayError('Kiosk PIN Required', error.message);
+            this.updateStatus(`❌ ${error.message}`);
         }
+    }
 
-        return { name: '', country: '' };
+    renderPayloadConfig() {
+        this.payloadConfigInput.value = JSON.stringify(this.payloadParser.config, null, 2);
     }
 
-    async saveAttendance(name, country, rawData) {
-        const attendanceData = {
-            id: this.generateId(),
-            name: name,
-            country: country,
-            scan_timestamp: new Date().toISOString(),
-            raw_qr_data: rawData,
-            created_at: Date.now(),
-            updated_at: Date.now()
-        };
+    savePayloadConfig() {
+        try {
+            this.payloadParser.save(JSON.parse(this.payloadConfigInput.value));
+            this.renderPayloadConfig();
+            this.loadAttendanceRecords();
+            this.updateStatus(`✅ Badge formats saved (${this.payloadParser.config.formats.length} formats, ${this.payloadParser.config.fields.length} fields)`);
+        } catch (error) {
+            console.error('Error saving payload config:', error);
+            this.updateStatus(`❌ Invalid badge format config: ${error.message}`);
+        }
+    }
 
-        // Try API first, fallback to localStorage
-        if (!this.useLocalStorage) {
-            try {
-                console.log('Attempting to save attendance data via API:', attendanceData);
-                this.updateStatus('💾 Saving attendance record...');
+    resetPayloadConfig() {
+        if (confirm('Reset badge formats and fields to the built-in defaults?')) {
+            this.payloadParser.reset();
+            this.renderPayloadConfig();
+            this.loadAttendanceRecords();
+            this.updateStatus('🔄 Badge formats reset to defaults');
+        }
+    }
 
-                const response = await fetch('tables/attendance', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(attendanceData)
-                });
+    async downloadBackup() {
+        try {
+            // All sessions, including records that are still waiting to sync
+            const records = await this.fetchAllRecords();
+            const backup = this.backups.create(records, 'Manual backup');
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+            const filename = this.exporter.download(JSON.stringify(backup, null, 2), 'application/json', `islf-attendance-backup-${timestamp}.json`);
+            this.updateStatus(`✅ Backup saved: ${filename} (${records.length} records, ${this.sessions.sessions.length} sessions)`);
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            this.updateStatus(`❌ Error creating backup: ${error.message}`);
+        }
+    }
 
-                if (response.ok) {
-                    const savedRecord = await response.json();
-                    console.log('Attendance saved successfully via API:', savedRecord);
-                    this.loadAttendanceRecords();
-                    this.updateStatus(`✅ Attendance recorded for ${name}`);
-                    return;
-                } else {
-                    throw new Error(`API Error: HTTP ${response.status}`);
-                }
-            } catch (error) {
-                console.log('API failed, switching to localStorage:', error.message);
-                this.useLocalStorage = true;
-                this.updateStatus('⚠️ Switched to offline mode - data saved locally');
-            }
+    async restoreBackupFile(file) {
+        if (!file) {
+            return;
         }
 
-        // Use localStorage as fallback
         try {
-            this.saveToLocalStorage(attendanceData);
-            console.log('Attendance saved to localStorage:', attendanceData);
-            this.loadAttendanceRecords();
-            this.updateStatus(`✅ Attendance recorded for ${name} (offline mode)`);
+            const backup = BackupManager.parse(await file.text());
+            await this.restoreBackup(backup, this.restoreModeSelect.value);
         } catch (error) {
-            console.error('Error saving to localStorage:', error);
-            this.updateStatus(`❌ Error saving attendance: ${error.message}`);
-            this.displayError(`Failed to save attendance record: ${error.message}`);
+            console.error('Error restoring backup:', error);
+            this.updateStatus(`❌ Error restoring backup: ${error.message}`);
+        } finally {
+            // Allow restoring the same file again
+            this.restoreFileInput.value = '';
         }
     }
 
-    saveToLocalStorage(record) {
-        let records = this.getLocalStorageRecords();
-        records.push(record);
-        localStorage.setItem('qr_attendance_records', JSON.stringify(records));
-    }
+    async restoreSnapshot(snapshotId) {
+        const snapshot = snapshotId ? await this.localStore.getSnapshot(snapshotId) : null;
+        if (!snapshot) {
+            this.updateStatus('❌ Choose a snapshot to restore');
+            return;
+        }
 
-    getLocalStorageRecords() {
         try {
-            const records = localStorage.getItem('qr_attendance_records');
-            return records ? JSON.parse(records) : [];
+            // Snapshots put back what a clear removed, so they always merge
+            await this.restoreBackup(BackupManager.validate(snapshot.backup), 'merge');
         } catch (error) {
-            console.error('Error reading from localStorage:', error);
-            return [];
+            console.error('Error restoring snapshot:', error);
+            this.updateStatus(`❌ Error restoring snapshot: ${error.message}`);
         }
     }
 
-    populateScannedQRCodes(records) {
-        // Populate the scanned QR codes set from existing records
-        this.scannedQRCodes.clear();
-        records.forEach(record => {
-            if (record.raw_qr_data) {
-                this.scannedQRCodes.add(record.raw_qr_data);
+    async restoreBackup(backup, mode) {
+        const existing = await this.fetchAllRecords();
+        const summary = `${backup.records.length} records from ${new Date(backup.created_at).toLocaleString()}`;
+        const warning = mode === 'replace'
+            ? `\n\nReplace deletes all ${existing.length} current records in every session (a snapshot is taken first).`
+            : '\n\nRecords already present (same id, or the same badge already checked in to the session) are skipped.';
+        if (!confirm(`Restore ${summary}?${warning}`)) {
+            return;
+        }
+
+        this.updateStatus(`♻️ Restoring ${summary}...`);
+
+        if (mode === 'replace') {
+            if (existing.length > 0) {
+                await this.backups.snapshot(existing, 'Before restoring a backup');
+            }
+            await this.localStore.deleteMany(existing.map(record => record.id));
+            const removal = await this.deleteRemoteRecords(existing,
+                (done, total) => this.updateStatus(`♻️ Removing current records: ${done} of ${total}...`));
+            if (removal.failed.length > 0) {
+                console.error('Records not deleted before restore:', removal.failed);
+                alert(this.formatFailures(`${removal.failed.length} of ${existing.length} current records could not be deleted. The restore continues; they stay alongside the restored records.`, removal.failed));
             }
+        }
+
+        const { records, undelete, duplicates } = this.backups.findNewRecords(backup.records, mode === 'replace' ? [] : existing, {
+            blockRepeatCheckIns: this.scanMode === 'checkin'
         });
-        console.log(`Loaded ${this.scannedQRCodes.size} previously scanned QR codes for duplicate prevention`);
-    }
+        for (const record of records) {
+            await this.persistRecord(record);
+        }
+        for (const recordId of undelete) {
+            await this.updateRecord(recordId, { deleted_at: null, deleted_by: null, delete_reason: null, deleted_with: null, updated_at: Date.now() });
+        }
 
-    generateId() {
-        return 'record_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    }
+        await this.audit.record('backup_restore', {
+            details: { mode: mode, backup_created_at: backup.created_at, restored: records.length + undelete.length, duplicates: duplicates, replaced: mode === 'replace' ? existing.length : 0 }
+        });
+
+        this.backups.restoreSessions(backup, mode);
+        const { restored: settingsRestored, needsBadgeKey } = this.backups.restoreSettings(backup, mode);
+        if (settingsRestored > 0) {
+            this.reloadSettings();
+        }
+
+        this.renderSessions();
+        this.renderSnapshots();
+        await this.loadAttendanceRecords();
+        this.updateStatus(`✅ Restored ${records.length + undelete.length} records${duplicates > 0 ? `, skipped ${duplicates} duplicates` : ''}${settingsRestored > 0 ? `, ${settingsRestored} settings` : ''}`);
+        if (needsBadgeKey) {
+            alert('Backups do not include the HS256 badge secret. Enter it again under Badge Security before scanning signed badges.');
+            this.signatureKeyInput.focus();
+        }
+    }
+
+    reloadSettings() {
+        // Pick up settings written straight to localStorage by a restore
+        this.registry.participants = this.registry.load();
+        this.registry.buildIndex();
+        this.badgeVerifier.settings = this.badgeVerifier.load();
+        this.badgeVerifier.keyPromise = null;
+        this.payloadParser.config = this.payloadParser.load();
+        this.scanMode = localStorage.getItem('qr_scan_mode') || 'checkin';
+        this.scanModeSelect.value = this.scanMode;
+        this.renderBadgeSecurity();
+        this.renderPayloadConfig();
+    }
+
+    async renderSnapshots() {
+        try {
+            const snapshots = await this.localStore.listSnapshots();
+            this.snapshotSelect.innerHTML = snapshots.length > 0
+                ? snapshots.map(snapshot => `
+                    <option value="${snapshot.id}">${this.escapeHtml(new Date(snapshot.created_at).toLocaleString())} - ${this.escapeHtml(snapshot.reason)} (${snapshot.record_count} records)</option>
+                `).join('')
+                : '<option value="">No snapshots yet</option>';
+        } catch (error) {
+            console.error('Error listing snapshots:', error);
+        }
+    }
+
+    formatExtraFields(record) {
+        const fields = record.fields || {};
+        return this.payloadParser.extraFields
+            .filter(field => fields[field.key])
+            .map(field => ({ label: field.label, value: fields[field.key] }));
+    }
+
+    processCheckOut(qrData, details = {}) {
+        const checkIn = this.openCheckIns.get(qrData);
+        const checkOutTime = new Date();
+        const durationMs = checkOutTime - new Date(checkIn.scan_timestamp);
+
+        this.showScanSuccess();
+        this.openCheckIns.delete(qrData);
+
+        const checkOutDetails = { ...details, event_type: 'check_out' };
+        if (checkIn.id) {
+            checkOutDetails.check_in_id = checkIn.id;
+        }
+        this.saveAttendance(checkIn.name, checkIn.country, qrData, checkOutDetails);
+
+        this.scanResult.innerHTML = `
+            <div class="text-left">
+                <div class="flex items-center mb-3">
+                    <i class="fas fa-right-from-bracket text-primary text-xl mr-2"></i>
+                    <span class="font-semibold text-dark">Checked Out</span>
+                </div>
+                <div class="space-y-2 text-sm">
+                    <div><span class="font-medium text-secondary">Name:</span> 
+                         <span class="text-gray-800">${this.escapeHtml(checkIn.name)}</span></div>
+                    <div><span class="font-medium text-secondary">Checked in:</span> 
+                         <span class="text-gray-800">${new Date(checkIn.scan_timestamp).toLocaleString()}</span></div>
+                    <div><span class="font-medium text-secondary">Checked out:</span> 
+                         <span class="text-gray-800">${checkOutTime.toLocaleString()}</span></div>
+                    <div><span class="font-medium text-secondary">Time on site:</span> 
+                         <span class="text-gray-800">${PresenceLog.formatDuration(durationMs)}</span></div>
+                </div>
+            </div>
+        `;
+
+        this.kiosk.feedback('goodbye', checkIn);
+
+        setTimeout(() => {
+            this.updateStatus(`👋 ${checkIn.name} checked out after ${PresenceLog.formatDuration(durationMs)}`);
+        }, 500);
+    }
+
+    setScanMode(mode) {
+        this.scanMode = mode;
+        localStorage.setItem('qr_scan_mode', mode);
+        this.updateStatus(mode === 'checkinout'
+            ? '🔁 Check-in / check-out mode: scanning a checked-in badge records a check-out'
+            : '✅ Check-in only mode: repeat scans are blocked as duplicates');
+        this.dashboard.update(this.records, mode, this.sessions.active);
+    }
+
+    showScanSuccess() {
+        // Audio feedback for immediate response
+        this.playSuccessSound();
+        
+        // Visual overlay feedback with perfect circle
+        const overlay = document.getElementById('scanSuccessOverlay');
+        overlay.innerHTML = '<i class="fas fa-check"></i>';
+        overlay.style.background = 'rgba(175, 117, 29, 0.95)';
+        overlay.style.borderColor = 'white';
+        overlay.classList.add('show');
+        
+        // Immediate status feedback
+        this.updateStatus('✅ QR Code Successfully Scanned!');
+        console.log('✅ Success animation and sound triggered');
+        
+        // Hide overlay after showing success
+        setTimeout(() => {
+            overlay.classList.remove('show');
+            this.updateStatus('🔍 Ready to scan next QR code...');
+        }, 2000);
+    }
+
+    playSuccessSound() {
+        try {
+            // Create a simple success beep
+            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const oscillator = audioContext.createOscillator();
+            const gainNode = audioContext.createGain();
+            
+            oscillator.connect(gainNode);
+            gainNode.connect(audioContext.destination);
+            
+            oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
+            oscillator.frequency.setValueAtTime(1000, audioContext.currentTime + 0.1);
+            
+            gainNode.gain.setValueAtTime(0, audioContext.currentTime);
+            gainNode.gain.linearRampToValueAtTime(0.1, audioContext.currentTime + 0.01);
+            gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.2);
+            
+            oscillator.start(audioContext.currentTime);
+            oscillator.stop(audioContext.currentTime + 0.2);
+        } catch (error) {
+            console.log('Audio feedback not available:', error);
+        }
+    }
+
+    parseQRContent(qrData) {
+        // Payload formats and the field schema are configured under Settings → Badge Formats & Fields
+        const parsedData = this.payloadParser.parse(qrData);
+        if (parsedData.format) {
+            console.log(`Parsed QR payload as "${parsedData.format}":`, parsedData);
+        }
+        return parsedData;
+    }
+
+    checkRegistration(name, country) {
+        // Without an imported roster there is nothing to validate against
+        if (this.registry.size === 0) {
+            return {};
+        }
+
+        const match = this.registry.match(name, country);
+        if (!match) {
+            console.log('Scan not found in registry (walk-in):', name, country);
+            return { registration_status: 'unregistered' };
+        }
+
+        console.log(`Registry match (${match.matchType}):`, match.participant);
+        return {
+            registration_status: 'registered',
+            participant_id: match.participant.id
+        };
+    }
+
+    async saveAttendance(name, country, rawData, details = {}) {
+        const attendanceData = {
+            id: this.generateId(),
+            name: name,
+            country: country,
+            scan_timestamp: new Date().toISOString(),
+            raw_qr_data: rawData,
+            session_id: this.sessions.activeId,
+            device_id: this.liveSync.deviceId,
+            ...details,
+            created_at: Date.now(),
+            updated_at: Date.now()
+        };
+
+        try {
+            const synced = await this.persistRecord(attendanceData);
+            this.audit.record('create', {
+                record: attendanceData,
+                details: { event_type: attendanceData.event_type || 'check_in', method: attendanceData.method || 'scan' }
+            });
+            if (attendanceData.duplicate_status === 'override') {
+                this.audit.record('duplicate_override', {
+                    record: attendanceData,
+                    reason: attendanceData.override_reason,
+                    details: { override_count: attendanceData.override_count, policy: DuplicatePolicy.of(this.sessions.active).duplicate_policy }
+                });
+            }
+            this.loadAttendanceRecords();
+            this.updateStatus(synced
+                ? `✅ Attendance recorded for ${name}`
+                : `✅ Attendance recorded for ${name} (offline mode - will sync when online)`);
+        } catch (error) {
+            console.error('Error saving to local store:', error);
+            this.updateStatus(`❌ Error saving attendance: ${error.message}`);
+            this.displayError(`Failed to save attendance record: ${error.message}`);
+        }
+    }
+
+    async persistRecord(record) {
+        // Try API first, fallback to the local store; resolves to true when the server has the record
+        if (!this.useLocalStorage) {
+            try {
+                console.log('Attempting to save attendance data via API:', record);
+                this.updateStatus('💾 Saving attendance record...');
+
+                const response = await fetch('tables/attendance', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(record)
+                });
+
+                if (response.ok) {
+                    const savedRecord = await response.json();
+                    console.log('Attendance saved successfully via API:', savedRecord);
+                    return true;
+                } else {
+                    throw new Error(`API Error: HTTP ${response.status}`);
+                }
+            } catch (error) {
+                console.log('API failed, switching to localStorage:', error.message);
+                this.useLocalStorage = true;
+                this.updateStorageMode();
+                this.updateStatus('⚠️ Switched to offline mode - data saved locally');
+            }
+        }
+
+        // Use the local store as fallback and queue the write for re-sync
+        await this.localStore.add(record);
+        this.syncQueue.enqueueCreate(record);
+        console.log('Attendance saved locally and queued for sync:', record);
+        return false;
+    }
+
+    async removeFromLocalStore(recordId) {
+        const record = await this.localStore.get(recordId);
+        if (record) {
+            await this.localStore.delete(recordId);
+        }
+        return record;
+    }
+
+    async getLocalRecords() {
+        try {
+            return await this.localStore.list();
+        } catch (error) {
+            console.error('Error reading from local store:', error);
+            return [];
+        }
+    }
+
+    populateScannedQRCodes(records) {
+        // Latest check-in time of every badge in the active session
+        this.scannedQRCodes.clear();
+        records.forEach(record => {
+            if (record.raw_qr_data && !PresenceLog.isCheckOut(record)) {
+                const scannedAt = new Date(record.scan_timestamp).getTime();
+                this.scannedQRCodes.set(record.raw_qr_data, Math.max(scannedAt, this.scannedQRCodes.get(record.raw_qr_data) || 0));
+            }
+        });
+        this.openCheckIns = PresenceLog.openCheckIns(records);
+        console.log(`Loaded ${this.scannedQRCodes.size} previously scanned QR codes for duplicate prevention`);
+    }
+
+    generateId() {
+        return 'record_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
 
     clearScannedQRCodes() {
+        const reason = prompt('Allow every badge in this session to be scanned again?\n\nReason (saved in the audit log):');
+        if (reason === null) {
+            return;
+        }
+
         const count = this.scannedQRCodes.size;
         this.scannedQRCodes.clear();
+        this.audit.record('duplicate_override', { sessionId: this.sessions.activeId, reason: reason, details: { cleared_badges: count } });
         this.updateStatus(`🔄 Cleared ${count} blocked QR codes - duplicates now allowed`);
         console.log('Duplicate prevention cleared - all QR codes can now be scanned again');
     }
 
-    async clearAllAttendance() {
+    async clearAllAttendance(reason = '') {
         try {
-            // Get current records for clearing
-            let records = [];
-            
-            if (!this.useLocalStorage) {
-                try {
-                    const response = await fetch('tables/attendance?limit=1000');
-                    if (response.ok) {
-                        const data = await response.json();
-                        records = data.data || [];
-                    } else {
-                        throw new Error('API clear failed');
-                    }
-                } catch (error) {
-                    console.log('API clear failed, using localStorage:', error.message);
-                    this.useLocalStorage = true;
-                }
+            // Get current session records (server and not-yet-synced local ones)
+            const records = await this.fetchRecords();
+
+            // Snapshot first, so the clear can be undone from Settings → Backup & Restore
+            if (records.length > 0) {
+                await this.backups.snapshot(records, `Before clearing "${this.sessions.active.name}"`);
+                this.renderSnapshots();
             }
             
-            if (this.useLocalStorage) {
-                // Clear localStorage
-                localStorage.removeItem('qr_attendance_records');
-                console.log('Cleared all records from localStorage');
-            } else {
-                // Clear API records (delete each one)
-                for (const record of records) {
-                    try {
-                        await fetch(`tables/attendance/${record.id}`, {
-                            method: 'DELETE'
-                        });
-                    } catch (error) {
-                        console.error('Error deleting record:', record.id, error);
-                    }
+            // Move every record to the trash in one pass; a single "clear" audit entry covers them all
+            const sessionName = this.sessions.active.name;
+            const result = await this.updateRecords(records, {
+                deleted_at: new Date().toISOString(),
+                deleted_by: this.audit.operator,
+                delete_reason: reason,
+                updated_at: Date.now()
+            }, (done, total) => this.updateStatus(`🗑️ Clearing "${sessionName}": ${done} of ${total} records...`));
+            await this.audit.record('clear', {
+                sessionId: this.sessions.activeId,
+                reason: reason,
+                details: {
+                    session_name: sessionName,
+                    record_count: records.length,
+                    cleared: result.updated + result.queued,
+                    failed: result.failed.map(failure => failure.record.id)
                 }
-                console.log(`Cleared ${records.length} records from API`);
-            }
+            });
+            console.log(`Cleared ${result.updated + result.queued} of ${records.length} records from the active session`, result.failed);
             
             // Clear the scanned QR codes set
             this.scannedQRCodes.clear();
             
             // Refresh the display
             this.loadAttendanceRecords();
+            return { total: records.length, ...result };
             
         } catch (error) {
             console.error('Error clearing all attendance:', error);
-            this.updateStatus('❌ Error clearing attendance data');
+            this.updateStatus(`❌ Error clearing attendance data: ${error.message}`);
+            return null;
         }
     }
 
-    async loadAttendanceRecords() {
+    async fetchRecords() {
+        return this.activeRecords(await this.fetchAllRecords());
+    }
+
+    activeRecords(records) {
+        // The active session's records, without the ones in the trash
+        return this.sessions.filterRecords(records).filter(record => !record.deleted_at);
+    }
+
+    trashRecords(records) {
+        return this.sessions.filterRecords(records).filter(record => record.deleted_at);
+    }
+
+    async fetchServerRecords(pageSize = 500) {
+        // The Table API returns one page per request; keep asking until every record has arrived
+        const byId = new Map();
+        for (let page = 1; ; page++) {
+            const response = await fetch(`tables/attendance?sort=scan_timestamp&page=${page}&limit=${pageSize}`);
+            if (!response.ok) {
+                throw new Error(`API Error: HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            const batch = data.data || [];
+            const before = byId.size;
+            batch.forEach(record => byId.set(record.id, record));
+
+            // A short page ends the table; a page with nothing new means the server ignores "page"
+            if (batch.length < pageSize || byId.size === before || (data.total !== undefined && byId.size >= data.total)) {
+                return [...byId.values()];
+            }
+        }
+    }
+
+    async fetchAllRecords() {
         let records = [];
         
         // Try API first if not in localStorage mode
         if (!this.useLocalStorage) {
             try {
                 console.log('Loading attendance records from API...');
-                const response = await fetch('tables/attendance?sort=scan_timestamp&limit=100');
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    console.log('Loaded attendance data from API:', data);
-                    records = data.data || [];
-                    this.populateScannedQRCodes(records);
-                    this.displayAttendanceRecords(records);
-                    this.recordCount.textContent = data.total || 0;
-                    return;
-                } else {
-                    throw new Error(`API Error: HTTP ${response.status}`);
-                }
+                records = await this.fetchServerRecords();
+                console.log(`Loaded ${records.length} attendance records from API`);
             } catch (error) {
                 console.log('API failed for loading, switching to localStorage:', error.message);
                 this.useLocalStorage = true;
+                this.updateStorageMode();
             }
         }
 
-        // Use localStorage
+        // Records saved offline stay in the local store until their queued create syncs
+        const serverIds = new Set(records.map(record => record.id));
+        const localRecords = (await this.getLocalRecords()).filter(record => !serverIds.has(record.id));
+        
+        return records.concat(localRecords);
+    }
+
+    loadAttendanceRecords() {
+        // Loads run one at a time: two overlapping loads would both resolve the same sync conflict.
+        // Calls made during a load share one follow-up load, so they still see their own changes
+        if (!this.loadingRecords) {
+            this.loadingRecords = this.refreshRecords().finally(() => {
+                this.loadingRecords = null;
+            });
+            return this.loadingRecords;
+        }
+        if (!this.queuedLoad) {
+            this.queuedLoad = this.loadingRecords.then(() => {
+                this.queuedLoad = null;
+                return this.loadAttendanceRecords();
+            });
+        }
+        return this.queuedLoad;
+    }
+
+    async refreshRecords() {
         try {
-            console.log('Loading attendance records from localStorage...');
-            records = this.getLocalStorageRecords();
-            console.log('Loaded attendance data from localStorage:', records);
+            const allRecords = await this.fetchAllRecords();
+            this.liveSync.track(allRecords);
+            const records = await this.resolveSyncConflicts(this.activeRecords(allRecords));
+            this.records = records;
+            this.knownRecords = allRecords.filter(record => !record.deleted_at);
+            this.trash = this.trashRecords(allRecords);
+            this.displayTrash(this.trash);
             this.populateScannedQRCodes(records);
             this.displayAttendanceRecords(records);
-            this.recordCount.textContent = records.length;
+            this.displayPendingParticipants(records);
+            this.dashboard.update(records, this.scanMode, this.sessions.active);
+            this.recordCount.textContent = records.filter(record => !PresenceLog.isCheckOut(record)).length;
             
             if (this.useLocalStorage) {
                 this.updateStatus('📱 Running in offline mode - data stored locally');
             }
         } catch (error) {
-            console.error('Error loading from localStorage:', error);
+            console.error('Error loading attendance records:', error);
             this.updateStatus(`❌ Error loading records: ${error.message}`);
         }
     }
 
+    async resolveSyncConflicts(records) {
+        // Two doors can admit the same badge before either sees the other's scan
+        if (this.scanMode !== 'checkin') {
+            return records;
+        }
+
+        const conflicts = LiveSync.findConflicts(records, this.liveSync.deviceId);
+        if (conflicts.length === 0) {
+            return records;
+        }
+
+        const losingIds = new Set();
+        for (const { record, winner } of conflicts) {
+            console.log(`Sync conflict: ${record.name} was already checked in by ${winner.device_id || 'another device'} - removing local duplicate`, record);
+            await this.softDeleteRecord(record, `Already checked in at ${winner.device_id || 'another device'}`, { operator: 'live sync' });
+            losingIds.add(record.id);
+        }
+
+        const names = conflicts.map(({ record }) => record.name).join(', ');
+        this.updateStatus(`🔀 Already checked in at another entrance: ${names} - duplicate removed`);
+        return records.filter(record => !losingIds.has(record.id));
+    }
+
     displayAttendanceRecords(records) {
-        if (!records || records.length === 0) {
-            this.attendanceTable.innerHTML = `
+        this.recordTable.setRecords(records);
+    }
+
+    renderAttendanceRow(visit, number) {
+        const record = visit.checkIn;
+        const timestamp = new Date(record.scan_timestamp);
+        const formattedTime = timestamp.toLocaleString();
+        const checkOutCell = visit.checkOut
+            ? new Date(visit.checkOut.scan_timestamp).toLocaleString()
+            : (this.scanMode === 'checkinout' ? '<span class="on-site-badge">On site</span>' : '—');
+        const walkInBadge = record.registration_status === 'unregistered'
+            ? '<span class="walk-in-badge ml-2">Walk-in</span>'
+            : '';
+        const manualBadge = record.method === 'manual'
+            ? `<span class="manual-badge ml-2">Manual · ${this.escapeHtml(record.operator || 'unknown operator')}</span>`
+            : (record.method === 'image' ? '<span class="manual-badge ml-2">Photo</span>' : '');
+        const repeatBadge = this.repeatBadge(record);
+        const extraFields = this.formatExtraFields(record);
+        const extraLine = extraFields.length > 0
+            ? `<div class="text-xs font-normal text-secondary mt-1">${extraFields.map(field => this.escapeHtml(field.value)).join(' · ')}</div>`
+            : '';
+
+        return `
+            <tr class="border-b border-gray-200">
+                <td class="py-4 px-4 text-secondary font-medium">${number}</td>
+                <td class="py-4 px-4 font-semibold text-dark" data-name-cell="${record.id}">${this.escapeHtml(record.name)}${walkInBadge}${manualBadge}${repeatBadge}${extraLine}</td>
+                <td class="py-4 px-4 text-secondary">${this.escapeHtml(record.country)}</td>
+                <td class="py-4 px-4 text-accent text-sm">${formattedTime}${this.punctualityBadge(record)}</td>
+                <td class="py-4 px-4 text-accent text-sm hide-mobile">${checkOutCell}</td>
+                <td class="py-4 px-4 text-secondary text-sm hide-mobile">${PresenceLog.formatDuration(visit.durationMs) || '—'}</td>
+                <td class="py-4 px-4 whitespace-nowrap">
+                    <button data-action="edit-name" data-id="${record.id}" title="Correct the name"
+                            class="text-accent text-sm px-3 py-1 rounded-lg hover:bg-gray-100 transition-all duration-200">
+                        <i class="fas fa-pen mr-1"></i> Edit
+                    </button>
+                    <button onclick="scanner.deleteRecord('${record.id}')" 
+                            class="text-red-500 hover:text-red-700 text-sm px-3 py-1 rounded-lg hover:bg-red-50 transition-all duration-200">
+                        <i class="fas fa-trash mr-1"></i> Delete
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    punctualityBadge(record, className = 'block mt-1') {
+        const classification = Punctuality.classify(this.sessions.get(this.sessions.sessionIdOf(record)), record.scan_timestamp);
+        return classification
+            ? `<span class="punctuality-badge ${classification.status} ${className}">${Punctuality.describe(classification)}</span>`
+            : '';
+    }
+
+    repeatBadge(record) {
+        if (record.duplicate_status === 'override') {
+            return `<span class="repeat-badge override ml-2" title="${this.escapeHtml(record.override_reason || '')}">Override #${record.override_count || 1}</span>`;
+        }
+        if (record.duplicate_status === 'flagged') {
+            return '<span class="repeat-badge flagged ml-2">⚑ Repeat</span>';
+        }
+        return record.duplicate_status === 'reentry' ? '<span class="repeat-badge ml-2">Re-entry</span>' : '';
+    }
+
+    displayPendingParticipants(records) {
+        const pending = this.registry.getNotArrived(records);
+        this.pendingCount.textContent = pending.length;
+        this.rosterInfo.textContent = this.registry.size > 0
+            ? `${this.registry.size} registered participants`
+            : 'No roster imported';
+
+        if (this.registry.size === 0) {
+            this.pendingTable.innerHTML = `
                 <tr>
-                    <td colspan="5" class="text-center py-12 text-secondary">
-                        <i class="fas fa-qrcode text-4xl mb-3 text-accent"></i>
-                        <br><span class="text-lg font-medium">No attendance records yet</span>
-                        <br><span class="text-sm text-gray-500 mt-1">Start scanning QR codes to see records here</span>
+                    <td colspan="4" class="text-center py-12 text-secondary">
+                        <i class="fas fa-file-import text-4xl mb-3 text-accent"></i>
+                        <br><span class="text-lg font-medium">No roster imported</span>
+                        <br><span class="text-sm text-gray-500 mt-1">Import a participant CSV or JSON to track who has not arrived yet</span>
                     </td>
                 </tr>
             `;
             return;
         }
 
-        // Sort records by timestamp (newest first)
-        records.sort((a, b) => new Date(b.scan_timestamp) - new Date(a.scan_timestamp));
+        if (pending.length === 0) {
+            this.pendingTable.innerHTML = `
+                <tr>
+                    <td colspan="4" class="text-center py-12 text-secondary">
+                        <i class="fas fa-users text-4xl mb-3 text-accent"></i>
+                        <br><span class="text-lg font-medium">Every registered participant has arrived</span>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
 
-        this.attendanceTable.innerHTML = records.map((record, index) => {
-            const timestamp = new Date(record.scan_timestamp);
-            const formattedTime = timestamp.toLocaleString();
-            
-            return `
+        this.pendingTable.innerHTML = pending.map((participant, index) => `
                 <tr class="border-b border-gray-200">
                     <td class="py-4 px-4 text-secondary font-medium">${index + 1}</td>
-                    <td class="py-4 px-4 font-semibold text-dark">${this.escapeHtml(record.name)}</td>
-                    <td class="py-4 px-4 text-secondary">${this.escapeHtml(record.country)}</td>
-                    <td class="py-4 px-4 text-accent text-sm">${formattedTime}</td>
-                    <td class="py-4 px-4">
-                        <button onclick="scanner.deleteRecord('${record.id}')" 
-                                class="text-red-500 hover:text-red-700 text-sm px-3 py-1 rounded-lg hover:bg-red-50 transition-all duration-200">
-                            <i class="fas fa-trash mr-1"></i> Delete
-                        </button>
+                    <td class="py-4 px-4 font-semibold text-dark">${this.escapeHtml(participant.name)}</td>
+                    <td class="py-4 px-4 text-secondary">${this.escapeHtml(participant.country)}</td>
+                    <td class="py-4 px-4 text-accent text-sm hide-mobile">${this.escapeHtml(participant.id)}</td>
+                </tr>
+            `).join('');
+    }
+
+    displayTrash(trash) {
+        // Check-outs deleted together with their check-in are restored with it, so only the check-in is listed
+        const rows = trash
+            .filter(record => !record.deleted_with)
+            .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+        this.trashCount.textContent = rows.length;
+
+        if (rows.length === 0) {
+            this.trashTable.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center py-8 text-gray-500">
+                        <i class="fas fa-trash-can text-3xl mb-2"></i>
+                        <br>The trash is empty
                     </td>
                 </tr>
             `;
-        }).join('');
+            return;
+        }
+
+        this.trashTable.innerHTML = rows.map(record => `
+            <tr class="border-b border-gray-200">
+                <td class="py-4 px-4 font-semibold text-dark">${this.escapeHtml(record.name)}${PresenceLog.isCheckOut(record) ? ' <span class="text-xs text-secondary">(check-out)</span>' : ''}</td>
+                <td class="py-4 px-4 text-secondary">${this.escapeHtml(record.country)}</td>
+                <td class="py-4 px-4 text-accent text-sm hide-mobile">${new Date(record.scan_timestamp).toLocaleString()}</td>
+                <td class="py-4 px-4 text-accent text-sm">${new Date(record.deleted_at).toLocaleString()}${record.deleted_by ? `<div class="text-xs text-secondary">by ${this.escapeHtml(record.deleted_by)}</div>` : ''}</td>
+                <td class="py-4 px-4 text-secondary text-sm hide-mobile">${this.escapeHtml(record.delete_reason || '—')}</td>
+                <td class="py-4 px-4">
+                    <button onclick="scanner.restoreRecord('${record.id}')" 
+                            class="text-primary hover:text-dark text-sm px-3 py-1 rounded-lg hover:bg-yellow-50 transition-all duration-200">
+                        <i class="fas fa-rotate-left mr-1"></i> Restore
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    setRecordsView(view) {
+        this.recordsView = view;
+        this.attendanceContainer.classList.toggle('hidden', view !== 'attendance');
+        this.pendingContainer.classList.toggle('hidden', view !== 'pending');
+        this.dashboard.container.classList.toggle('hidden', view !== 'dashboard');
+        this.trashContainer.classList.toggle('hidden', view !== 'trash');
+        this.attendanceViewBtn.classList.toggle('active', view === 'attendance');
+        this.pendingViewBtn.classList.toggle('active', view === 'pending');
+        this.dashboardViewBtn.classList.toggle('active', view === 'dashboard');
+        this.trashViewBtn.classList.toggle('active', view === 'trash');
+        this.dashboard.show(view === 'dashboard');
+    }
+
+    async importRoster(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            this.updateStatus('📋 Importing participant roster...');
+            const count = await this.registry.importFile(file);
+            this.displayPendingParticipants(this.records);
+            this.dashboard.update(this.records, this.scanMode, this.sessions.active);
+            this.updateStatus(`✅ Imported ${count} registered participants from ${file.name}`);
+        } catch (error) {
+            console.error('Error importing roster:', error);
+            this.updateStatus(`❌ Error importing roster: ${error.message}`);
+        } finally {
+            // Allow re-importing the same file after edits
+            this.rosterFileInput.value = '';
+        }
+    }
+
+    renderSessions() {
+        this.sessionSelect.innerHTML = this.sessions.list().map(session => `
+            <option value="${this.escapeHtml(session.id)}" ${session.id === this.sessions.activeId ? 'selected' : ''}>
+                ${this.escapeHtml(session.name)}
+            </option>
+        `).join('');
+        const session = this.sessions.active;
+        const grace = session.starts_at ? ` · Grace: ${Punctuality.of(session).grace_minutes} min` : '';
+        this.sessionSchedule.textContent = `${this.sessions.formatSchedule(session)}${grace} · Duplicates: ${DuplicatePolicy.describe(session)}`;
+    }
+
+    switchSession(sessionId) {
+        try {
+            const session = this.sessions.setActive(sessionId);
+            this.renderSessions();
+            this.loadAttendanceRecords();
+            this.updateStatus(`📅 Switched to session "${session.name}"`);
+        } catch (error) {
+            console.error('Error switching session:', error);
+            this.updateStatus(`❌ Error switching session: ${error.message}`);
+        }
+    }
+
+    openSessionForm(sessionId) {
+        const session = sessionId ? this.sessions.get(sessionId) : null;
+        this.editingSessionId = sessionId;
+        this.sessionNameInput.value = session ? session.name : '';
+        this.sessionStartInput.value = session ? session.starts_at : '';
+        this.sessionEndInput.value = session ? session.ends_at : '';
+        const duplicates = DuplicatePolicy.of(session);
+        this.sessionDuplicatePolicySelect.value = duplicates.duplicate_policy;
+        this.sessionReentryInput.value = duplicates.reentry_minutes;
+        const punctuality = Punctuality.of(session);
+        this.sessionGraceInput.value = punctuality.grace_minutes;
+        this.sessionEarlyInput.value = punctuality.early_minutes;
+        this.toggleReentryInput();
+        this.sessionForm.classList.remove('hidden');
+        this.sessionNameInput.focus();
+    }
+
+    toggleReentryInput() {
+        this.sessionReentryInput.disabled = this.sessionDuplicatePolicySelect.value !== 'reentry';
+    }
+
+    closeSessionForm() {
+        this.editingSessionId = null;
+        this.sessionForm.reset();
+        this.sessionForm.classList.add('hidden');
+    }
+
+    saveSessionForm() {
+        const values = {
+            name: this.sessionNameInput.value,
+            starts_at: this.sessionStartInput.value,
+            ends_at: this.sessionEndInput.value,
+            duplicate_policy: this.sessionDuplicatePolicySelect.value,
+            reentry_minutes: parseInt(this.sessionReentryInput.value, 10),
+            grace_minutes: parseInt(this.sessionGraceInput.value, 10),
+            early_minutes: parseInt(this.sessionEarlyInput.value, 10)
+        };
+
+        try {
+            if (this.editingSessionId) {
+                const session = this.sessions.update(this.editingSessionId, values);
+                this.renderSessions();
+                this.loadAttendanceRecords(); // A new start time or grace period reclassifies punctuality
+                this.updateStatus(`✅ Session "${session.name}" updated`);
+            } else {
+                const session = this.sessions.create(values);
+                this.switchSession(session.id);
+                this.updateStatus(`✅ Session "${session.name}" created and activated`);
+            }
+            this.closeSessionForm();
+        } catch (error) {
+            console.error('Error saving session:', error);
+            this.updateStatus(`❌ ${error.message}`);
+        }
+    }
+
+    async confirmClearSession() {
+        const sessionName = this.sessions.active.name;
+        const recordCount = this.records.length;
+        const reason = prompt(`Move all ${recordCount} attendance records in "${sessionName}" to the trash?\n\nOther sessions are not affected. Reason (saved in the audit log):`);
+        if (reason === null) {
+            return;
+        }
+
+        this.updateStatus(`🗑️ Clearing session "${sessionName}"...`);
+        const result = await this.clearAllAttendance(reason);
+        if (!result) {
+            return;
+        }
+        if (result.failed.length === 0) {
+            const queued = result.queued > 0 ? ` (${result.queued} will sync when online)` : '';
+            this.updateStatus(`✅ Session "${sessionName}" cleared${queued}${recordCount > 0 ? ' - records can be restored from the Trash tab' : ''}`);
+            return;
+        }
+
+        this.updateStatus(`⚠️ Cleared ${result.total - result.failed.length} of ${result.total} records in "${sessionName}" - ${result.failed.length} could not be moved to the trash`);
+        alert(this.formatFailures(`Could not move ${result.failed.length} of ${result.total} records to the trash. They are still in the session; clear again to retry.`, result.failed));
     }
 
     async deleteRecord(recordId) {
-        if (confirm('Are you sure you want to delete this attendance record?')) {
+        const reason = prompt('Move this attendance record to the trash?\n\nReason (saved in the audit log):');
+        if (reason === null) {
+            return;
+        }
+
+        try {
+            const visit = PresenceLog.buildVisits(this.records).find(candidate => candidate.checkIn.id === recordId);
+            const record = visit ? visit.checkIn : this.records.find(candidate => candidate.id === recordId);
+            if (!record) {
+                throw new Error('Record not found');
+            }
+
+            // A check-in's paired check-out goes with it, and comes back with it on restore
+            const synced = await this.softDeleteRecord(record, reason);
+            if (visit && visit.checkOut) {
+                await this.softDeleteRecord(visit.checkOut, reason, { deleted_with: record.id });
+            }
+            
+            // Remove from scanned QR codes set to allow re-scanning
+            if (record.raw_qr_data) {
+                this.scannedQRCodes.delete(record.raw_qr_data);
+            }
+            
+            // Note: We reload records which will repopulate the scanned QR codes set
+            this.loadAttendanceRecords();
+            this.updateStatus(synced
+                ? '✅ Record moved to the trash'
+                : '✅ Record moved to the trash (offline mode - will sync when online)');
+            
+        } catch (error) {
+            console.error('Error deleting record:', error);
+            this.updateStatus(`❌ Error deleting record: ${error.message}`);
+        }
+    }
+
+    async softDeleteRecord(record, reason, { deleted_at = new Date().toISOString(), deleted_with = null, operator = this.audit.operator } = {}) {
+        const changes = {
+            deleted_at: deleted_at,
+            deleted_by: operator,
+            delete_reason: reason,
+            updated_at: Date.now()
+        };
+        if (deleted_with) {
+            changes.deleted_with = deleted_with;
+        }
+
+        const synced = await this.updateRecord(record.id, changes);
+        await this.audit.record('delete', { record: record, reason: reason, operator: operator, details: deleted_with ? { deleted_with: deleted_with } : {} });
+        return synced;
+    }
+
+    async renameVisit(visit, name) {
+        // A correction applies to every visit of the same badge in the session (check-ins and
+        // check-outs alike), so the table, search and exports show one name per person
+        const record = visit.checkIn;
+        const previousName = record.name;
+        try {
+            const visitIds = [record.id, visit.checkOut && visit.checkOut.id];
+            const records = this.records.filter(candidate => visitIds.includes(candidate.id)
+                || (record.raw_qr_data && candidate.raw_qr_data === record.raw_qr_data));
+            const result = await this.updateRecords(records, { name: name, updated_at: Date.now() });
+            await this.audit.record('edit', {
+                record: record,
+                details: { field: 'name', from: previousName, to: name, record_count: records.length, failed: result.failed.map(failure => failure.record.id) }
+            });
+
+            await this.loadAttendanceRecords();
+            const visits = PresenceLog.buildVisits(records).length;
+            const scope = visits > 1 ? ` on all ${visits} visits` : '';
+            if (result.failed.length > 0) {
+                this.updateStatus(`⚠️ Renamed ${previousName} to ${name} on ${records.length - result.failed.length} of ${records.length} records`);
+                alert(this.formatFailures(`${result.failed.length} records still show "${previousName}". Edit the name again to retry.`, result.failed));
+            } else {
+                this.updateStatus(result.queued > 0
+                    ? `✏️ Renamed ${previousName} to ${name}${scope} (offline mode - will sync when online)`
+                    : `✏️ Renamed ${previousName} to ${name}${scope}`);
+            }
+        } catch (error) {
+            console.error('Error renaming record:', error);
+            this.updateStatus(`❌ Error renaming record: ${error.message}`);
+        }
+    }
+
+    async restoreRecord(recordId) {
+        const record = this.trash.find(candidate => candidate.id === recordId);
+        if (!record) {
+            return;
+        }
+
+        const alreadyBack = !PresenceLog.isCheckOut(record) && this.scanMode === 'checkin' && this.scannedQRCodes.has(record.raw_qr_data);
+        const reason = prompt(`Restore ${record.name}'s record from the trash?${alreadyBack ? '\n\n⚠️ This badge has been checked in again since, so the session will show it twice.' : ''}\n\nReason (saved in the audit log):`);
+        if (reason === null) {
+            return;
+        }
+
+        try {
+            const changes = { deleted_at: null, deleted_by: null, delete_reason: null, deleted_with: null, updated_at: Date.now() };
+            const synced = await this.updateRecord(record.id, changes);
+            for (const pair of this.trash.filter(candidate => candidate.deleted_with === record.id)) {
+                await this.updateRecord(pair.id, changes);
+            }
+            await this.audit.record('restore', { record: record, reason: reason });
+
+            this.loadAttendanceRecords();
+            this.updateStatus(synced
+                ? `♻️ ${record.name} restored from the trash`
+                : `♻️ ${record.name} restored from the trash (offline mode - will sync when online)`);
+        } catch (error) {
+            console.error('Error restoring record:', error);
+            this.updateStatus(`❌ Error restoring record: ${error.message}`);
+        }
+    }
+
+    async updateRecord(recordId, changes) {
+        // Keep any local copy in step, then update (or queue the update) on the server
+        const local = await this.localStore.get(recordId);
+        if (local) {
+            await this.localStore.add({ ...local, ...changes });
+        }
+
+        if (this.syncQueue.amendCreate(recordId, changes)) {
+            return false;
+        }
+
+        if (!this.useLocalStorage) {
             try {
-                // Try API first if not in localStorage mode
-                if (!this.useLocalStorage) {
-                    try {
-                        const response = await fetch(`tables/attendance/${recordId}`, {
-                            method: 'DELETE'
-                        });
-
-                        if (response.ok) {
-                            // Note: We reload records which will repopulate the scanned QR codes set
-                            // This effectively removes the deleted QR from the blocked list
-                            this.loadAttendanceRecords();
-                            this.updateStatus('✅ Record deleted successfully');
-                            return;
-                        } else {
-                            throw new Error('API delete failed');
-                        }
-                    } catch (error) {
-                        console.log('API delete failed, using localStorage:', error.message);
-                        this.useLocalStorage = true;
-                    }
+                const response = await fetch(`tables/attendance/${recordId}`, {
+                    method: 'PATCH',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(changes)
+                });
+
+                if (response.ok) {
+                    return true;
                 }
+                throw new Error(`API Error: HTTP ${response.status}`);
+            } catch (error) {
+                console.log('API update failed, queueing for sync:', recordId, error.message);
+                this.useLocalStorage = true;
+                this.updateStorageMode();
+            }
+        }
+
+        this.syncQueue.enqueueUpdate(recordId, changes);
+        return false;
+    }
+
+    async updateRecords(records, changes, onProgress = () => {}) {
+        // Bulk version of updateRecord. Resolves to { updated, queued, failed: [{ record, error }] }
+        const result = { updated: 0, queued: 0, failed: [] };
+        const remote = [];
+        for (const record of records) {
+            const local = await this.localStore.get(record.id);
+            if (local) {
+                await this.localStore.add({ ...local, ...changes });
+            }
+            if (this.syncQueue.amendCreate(record.id, changes)) {
+                result.queued++;
+            } else if (this.useLocalStorage) {
+                this.syncQueue.enqueueUpdate(record.id, changes);
+                result.queued++;
+            } else {
+                remote.push(record);
+            }
+        }
+        onProgress(result.queued, records.length);
+
+        const sent = await this.bulkWriter.update(remote.map(record => record.id), changes,
+            (done) => onProgress(result.queued + done, records.length));
+        result.updated = sent.succeeded.length;
+        this.collectBulkFailures(sent.failed, remote, result, (recordId) => this.syncQueue.enqueueUpdate(recordId, changes));
+        return result;
+    }
+
+    async deleteRemoteRecords(records, onProgress = () => {}) {
+        // Bulk version of deleteRemoteRecord. Resolves to { deleted, queued, failed: [{ record, error }] }
+        const result = { deleted: 0, queued: 0, failed: [] };
+        const remote = [];
+        records.forEach(record => {
+            if (this.syncQueue.cancelCreate(record.id)) {
+                result.deleted++;
+            } else if (this.useLocalStorage) {
+                this.syncQueue.enqueueDelete(record.id);
+                result.queued++;
+            } else {
+                remote.push(record);
+            }
+        });
+        onProgress(result.deleted + result.queued, records.length);
+
+        const sent = await this.bulkWriter.delete(remote.map(record => record.id),
+            (done) => onProgress(result.deleted + result.queued + done, records.length));
+        result.deleted += sent.succeeded.length;
+        this.collectBulkFailures(sent.failed, remote, result, (recordId) => this.syncQueue.enqueueDelete(recordId));
+        return result;
+    }
 
-                // Use localStorage
-                let records = this.getLocalStorageRecords();
-                const recordToDelete = records.find(record => record.id === recordId);
-                records = records.filter(record => record.id !== recordId);
-                localStorage.setItem('qr_attendance_records', JSON.stringify(records));
-                
-                // Remove from scanned QR codes set to allow re-scanning
-                if (recordToDelete && recordToDelete.raw_qr_data) {
-                    this.scannedQRCodes.delete(recordToDelete.raw_qr_data);
+    collectBulkFailures(failures, records, result, enqueue) {
+        // Requests that never got an answer go to the outbox like any offline write; server errors are reported
+        const byId = new Map(records.map(record => [record.id, record]));
+        failures.forEach(failure => {
+            if (failure.offline) {
+                enqueue(failure.id);
+                result.queued++;
+            } else {
+                result.failed.push({ record: byId.get(failure.id), error: failure.error });
+            }
+        });
+        if (failures.some(failure => failure.offline)) {
+            console.log('API unreachable during a bulk change, remaining operations queued for sync');
+            this.useLocalStorage = true;
+            this.updateStorageMode();
+        }
+    }
+
+    formatFailures(heading, failures, limit = 15) {
+        const lines = failures.slice(0, limit).map(({ record, error }) => `• ${record.name} (${record.country || 'no country'}) - ${error}`);
+        if (failures.length > limit) {
+            lines.push(`…and ${failures.length - limit} more (see the browser console)`);
+        }
+        return `${heading}\n\n${lines.join('\n')}`;
+    }
+
+    async deleteRemoteRecord(recordId) {
+        // Records that never reached the server only need their queued create dropped
+        if (this.syncQueue.cancelCreate(recordId)) {
+            return true;
+        }
+
+        if (!this.useLocalStorage) {
+            try {
+                const response = await fetch(`tables/attendance/${recordId}`, {
+                    method: 'DELETE'
+                });
+
+                if (response.ok || response.status === 404) {
+                    return true;
                 }
-                
-                this.loadAttendanceRecords();
-                this.updateStatus('✅ Record deleted successfully (offline mode)');
-                
+                throw new Error(`API Error: HTTP ${response.status}`);
             } catch (error) {
-                console.error('Error deleting record:', error);
-                this.updateStatus('❌ Error deleting record');
+                console.log('API delete failed, queueing for sync:', recordId, error.message);
+                this.useLocalStorage = true;
+                this.updateStorageMode();
             }
         }
+
+        this.syncQueue.enqueueDelete(recordId);
+        return false;
     }
 
-    displayScanResult(parsedData, rawData) {
-        const timestamp = new Date().toLocaleString();
+    displayScanResult(parsedData, rawData, registration = {}, details = {}) {
+        const now = new Date();
+        const timestamp = now.toLocaleString();
+        const punctuality = this.punctualityBadge({ session_id: this.sessions.activeId, scan_timestamp: now.toISOString() }, '');
+        const registrationLine = registration.registration_status === 'unregistered'
+            ? `<div class="walk-in-notice"><i class="fas fa-user-plus mr-1"></i> Walk-in / unregistered - not found on the participant roster</div>`
+            : registration.registration_status === 'registered'
+                ? `<div><span class="font-medium text-secondary">Registration:</span> 
+                         <span class="text-gray-800">Registered (ID ${this.escapeHtml(registration.participant_id)})</span></div>`
+                : '';
         
         this.scanResult.innerHTML = `
             <div class="text-left">
                 <div class="flex items-center mb-3">
                     <i class="fas fa-check-circle text-primary text-xl mr-2"></i>
-                    <span class="font-semibold text-dark">QR Code Scanned Successfully!</span>
+                    <span class="font-semibold text-dark">${parsedData.format === 'manual' ? 'Manual Check-in Recorded!' : 'QR Code Scanned Successfully!'}</span>
                 </div>
                 <div class="space-y-2 text-sm">
                     <div><span class="font-medium text-secondary">Name:</span> 
                          <span class="text-gray-800">${this.escapeHtml(parsedData.name)}</span></div>
                     <div><span class="font-medium text-secondary">Country:</span> 
                          <span class="text-gray-800">${this.escapeHtml(parsedData.country)}</span></div>
+                    ${this.formatExtraFields(parsedData).map(field => `<div><span class="font-medium text-secondary">${this.escapeHtml(field.label)}:</span> 
+                         <span class="text-gray-800">${this.escapeHtml(field.value)}</span></div>`).join('')}
                     <div><span class="font-medium text-secondary">Scanned at:</span> 
                          <span class="text-gray-800">${timestamp}</span></div>
+                    ${details.decoder_engine ? `<div><span class="font-medium text-secondary">Read as:</span> 
+                         <span class="text-gray-800">${this.escapeHtml(BarcodeDecoder.describe({ engine: details.decoder_engine, format: details.barcode_format }))}</span></div>` : ''}
+                    ${registrationLine}
+                    ${details.duplicate_status ? `<div><span class="font-medium text-secondary">Repeat check-in:</span> ${this.repeatBadge(details)}</div>` : ''}
+                    ${punctuality ? `<div><span class="font-medium text-secondary">Punctuality:</span> ${punctuality}</div>` : ''}
                 </div>
             </div>
         `;
@@ -766,86 +1946,53 @@ class QRAttendanceScanner {
                 ${message ? `<p class="text-red-500 text-sm">${this.escapeHtml(message)}</p>` : ''}
             </div>
         `;
+        this.kiosk.feedback('error');
     }
 
-    async exportToCSV() {
+    async exportRecords(format) {
+        const labels = { csv: 'CSV', xlsx: 'Excel', json: 'JSON', report: 'report', audit: 'audit log' };
+
         try {
-            let records = [];
-
-            // Try API first if not in localStorage mode
-            if (!this.useLocalStorage) {
-                try {
-                    const response = await fetch('tables/attendance?limit=1000&sort=scan_timestamp');
-                    if (response.ok) {
-                        const data = await response.json();
-                        records = data.data || [];
-                    } else {
-                        throw new Error('API export failed');
-                    }
-                } catch (error) {
-                    console.log('API export failed, using localStorage:', error.message);
-                    this.useLocalStorage = true;
-                }
+            if (format === 'audit') {
+                // The audit log covers every session on this device, so it doesn't need session records
+                const filename = this.exporter.exportAuditCSV(await this.audit.list());
+                this.updateStatus(`✅ ${labels[format]} exported: ${filename}`);
+                return;
             }
 
-            // Use localStorage if API failed or in localStorage mode
-            if (this.useLocalStorage) {
-                records = this.getLocalStorageRecords();
-            }
+            const records = await this.fetchRecords();
 
             if (records.length === 0) {
-                alert('No attendance records to export.');
+                alert('No attendance records to export for this session.');
                 return;
             }
 
-            // Sort records by timestamp (newest first)
-            records.sort((a, b) => new Date(b.scan_timestamp) - new Date(a.scan_timestamp));
-
-            // Create CSV content
-            const headers = ['No.', 'Name', 'Country', 'Scan Date', 'Scan Time', 'Full Timestamp'];
-            const csvRows = [headers.join(',')];
-
-            records.forEach((record, index) => {
-                const timestamp = new Date(record.scan_timestamp);
-                const date = timestamp.toLocaleDateString();
-                const time = timestamp.toLocaleTimeString();
-                const fullTimestamp = timestamp.toLocaleString();
-                
-                const row = [
-                    index + 1,
-                    `"${record.name.replace(/"/g, '""')}"`, // Escape quotes in CSV
-                    `"${record.country.replace(/"/g, '""')}"`,
-                    `"${date}"`,
-                    `"${time}"`,
-                    `"${fullTimestamp}"`
-                ];
-                csvRows.push(row.join(','));
-            });
+            let filename;
+            if (format === 'xlsx') {
+                filename = this.exporter.exportXLSX(records);
+            } else if (format === 'json') {
+                filename = this.exporter.exportJSON(records);
+            } else if (format === 'report') {
+                this.exporter.printReport(records, this.printReport);
+                this.updateStatus('🖨️ Attendance report sent to the printer');
+                return;
+            } else {
+                filename = this.exporter.exportCSV(records);
+            }
 
-            // Create and download file
-            const csvContent = csvRows.join('\n');
-            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-            const link = document.createElement('a');
-            
-            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-            const filename = `attendance-records-${timestamp}.csv`;
-            
-            link.href = URL.createObjectURL(blob);
-            link.download = filename;
-            link.style.display = 'none';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-
-            this.updateStatus(`✅ CSV exported: ${filename}`);
+            this.updateStatus(`✅ ${labels[format]} exported: ${filename}`);
             
         } catch (error) {
-            console.error('Error exporting CSV:', error);
-            this.updateStatus('❌ Error exporting CSV file');
-            alert('Error exporting CSV file. Please try again.');
+            console.error(`Error exporting ${labels[format]}:`, error);
+            this.updateStatus(`❌ Error exporting ${labels[format]} file`);
+            alert(`Error exporting ${labels[format]} file: ${error.message}`);
         }
     }
 
+    toggleExportMenu(open = this.exportMenu.classList.contains('hidden')) {
+        this.exportMenu.classList.toggle('hidden', !open);
+    }
+
     updateStatus(message) {
         this.status.textContent = message;
         console.log('Status:', message);
@@ -864,9 +2011,8 @@ class QRAttendanceScanner {
                 console.log('GET test - Data:', getData);
                 this.updateStatus(`✅ API working. Found ${getData.total || 0} records.`);
                 this.useLocalStorage = false;
-                const storageMode = document.getElementById('storageMode');
-                storageMode.textContent = '🌐 Online Mode - Data synced to server';
-                storageMode.className = 'text-xs text-primary text-center mt-2 font-medium';
+                this.updateStorageMode();
+                this.syncNow();
             } else {
                 throw new Error(`HTTP ${getResponse.status}`);
             }
@@ -874,15 +2020,122 @@ class QRAttendanceScanner {
             console.error('API test error:', error);
             this.updateStatus(`❌ API failed. Switching to offline mode.`);
             this.useLocalStorage = true;
-            const storageMode = document.getElementById('storageMode');
-            storageMode.textContent = '📱 Offline Mode - Data stored locally in browser';
-            storageMode.className = 'text-xs text-secondary text-center mt-2 font-medium';
+            this.updateStorageMode();
             
             // Load local data
             this.loadAttendanceRecords();
         }
     }
 
+    updateStorageMode() {
+        const { pending, failed } = this.syncQueue.counts();
+        let text = this.useLocalStorage
+            ? '📱 Offline Mode - Data stored locally in browser'
+            : '🌐 Online Mode - Data synced to server';
+
+        if (pending > 0) {
+            text += ` · ⏳ ${pending} pending`;
+        }
+        if (failed > 0) {
+            text += ` · ⚠️ ${failed} failed`;
+        }
+
+        this.storageMode.textContent = text;
+        this.storageMode.className = `text-xs ${this.useLocalStorage ? 'text-secondary' : 'text-primary'} text-center mt-2 font-medium`;
+        this.storageMode.title = failed > 0 ? 'Some changes could not be synced. They will be retried when the connection comes back.' : '';
+    }
+
+    startSyncLoop() {
+        this.syncQueue.onChange = () => this.updateStorageMode();
+
+        // Reconnect: give failed operations a fresh set of attempts and flush right away
+        window.addEventListener('online', () => {
+            console.log('Network back online - retrying queued sync operations');
+            this.syncQueue.retryFailed();
+            this.syncNow();
+        });
+        window.addEventListener('offline', () => {
+            this.useLocalStorage = true;
+            this.updateStorageMode();
+        });
+
+        // Periodic probe in case the browser never fires "online" (e.g. API server restarted)
+        this.syncInterval = setInterval(() => this.syncNow(), 15000);
+        this.updateStorageMode();
+    }
+
+    async probeAPI() {
+        try {
+            const response = await fetch('tables/attendance?limit=1');
+            if (response.ok) {
+                if (this.useLocalStorage) {
+                    console.log('API reachable again - switching back to online mode');
+                }
+                this.useLocalStorage = false;
+                this.updateStorageMode();
+                return true;
+            }
+        } catch (error) {
+            // Still offline, try again on the next tick
+        }
+        return false;
+    }
+
+    async syncNow() {
+        if (this.syncQueue.size === 0 && !this.useLocalStorage) {
+            return;
+        }
+
+        if (!(await this.probeAPI())) {
+            return;
+        }
+
+        const result = await this.syncQueue.flush(op => this.sendQueuedOperation(op));
+        if (result.synced > 0) {
+            this.updateStatus(`🔄 Synced ${result.synced} queued change${result.synced === 1 ? '' : 's'} to the server`);
+            this.loadAttendanceRecords();
+        }
+    }
+
+    async sendQueuedOperation(op) {
+        if (op.type === 'create') {
+            // An earlier attempt may have reached the server before the response was lost
+            const existing = await fetch(`tables/attendance/${op.record_id}`);
+            if (!existing.ok) {
+                const response = await fetch('tables/attendance', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(op.payload)
+                });
+                if (!response.ok) {
+                    throw new Error(`API Error: HTTP ${response.status}`);
+                }
+            }
+            await this.removeFromLocalStore(op.record_id);
+        } else if (op.type === 'update') {
+            const response = await fetch(`tables/attendance/${op.record_id}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(op.payload)
+            });
+            // A record deleted on the server in the meantime has nothing left to update
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`API Error: HTTP ${response.status}`);
+            }
+        } else if (op.type === 'delete') {
+            const response = await fetch(`tables/attendance/${op.record_id}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`API Error: HTTP ${response.status}`);
+            }
+        }
+    }
+
     async addTestRecord() {
         this.updateStatus('➕ Adding test record...');
         console.log('Adding test record manually...');
@@ -905,8 +2158,8 @@ class QRAttendanceScanner {
         console.log('Video dimensions:', this.video.videoWidth, 'x', this.video.videoHeight);
         console.log('Canvas dimensions:', this.canvas.width, 'x', this.canvas.height);
         console.log('Scanning active:', this.scanning);
-        console.log('Stream active:', !!this.stream);
-        console.log('Scan attempts:', this.scanAttempts);
+        console.log('Stream active:', this.camera.active, this.camera.describe());
+        console.log('Frame decoding:', this.frameScanner.stats, 'interval', this.frameScanner.interval, 'ms', 'region', this.frameScanner.region || this.frameScanner.getBaseRegion() || 'full frame');
         console.log('Last scanned code:', this.lastScannedCode);
         console.log('Cooldown remaining:', Math.max(0, this.scanCooldown - (Date.now() - this.lastScanTime)));
         console.log('Scanned QR codes (blocked):', this.scannedQRCodes.size);
@@ -923,12 +2176,9 @@ class QRAttendanceScanner {
         }
         
         // Check camera capabilities
-        if (this.stream) {
-            const track = this.stream.getVideoTracks()[0];
-            if (track) {
-                const settings = track.getSettings();
-                console.log('Camera settings:', settings);
-            }
+        if (this.camera.track) {
+            console.log('Camera settings:', this.camera.track.getSettings());
+            console.log('Camera controls:', this.camera.capabilities());
         }
         
         this.updateStatus('🔍 Diagnostics complete - check browser console for details');
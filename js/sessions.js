@@ -0,0 +1,137 @@
+class SessionManager {
+    constructor(storageKey = 'qr_attendance_sessions', activeKey = 'qr_active_session') {
+        this.storageKey = storageKey;
+        this.activeKey = activeKey;
+        this.sessions = this.load();
+
+        // Records saved before sessions existed belong to the default session
+        if (!this.sessions.some(session => session.id === SessionManager.DEFAULT_SESSION_ID)) {
+            this.sessions.unshift({
+                id: SessionManager.DEFAULT_SESSION_ID,
+                name: 'General',
+                starts_at: '',
+                ends_at: '',
+                created_at: Date.now()
+            });
+            this.save();
+        }
+
+        const storedActive = localStorage.getItem(this.activeKey);
+        this.activeId = this.get(storedActive) ? storedActive : SessionManager.DEFAULT_SESSION_ID;
+    }
+
+    static get DEFAULT_SESSION_ID() {
+        return 'session_default';
+    }
+
+    get active() {
+        return this.get(this.activeId);
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error reading sessions:', error);
+            return [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.sessions));
+    }
+
+    get(sessionId) {
+        return this.sessions.find(session => session.id === sessionId) || null;
+    }
+
+    list() {
+        // Scheduled sessions in start order, unscheduled ones after them by creation
+        return [...this.sessions].sort((a, b) => {
+            if (a.starts_at && b.starts_at) {
+                return new Date(a.starts_at) - new Date(b.starts_at);
+            }
+            if (a.starts_at || b.starts_at) {
+                return a.starts_at ? -1 : 1;
+            }
+            return a.created_at - b.created_at;
+        });
+    }
+
+    create({ name, starts_at = '', ends_at = '', duplicate_policy = 'block', reentry_minutes = 30, grace_minutes = 5, early_minutes = 60 }) {
+        const session = {
+            id: 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6),
+            name: name.trim(),
+            starts_at: starts_at,
+            ends_at: ends_at,
+            duplicate_policy: duplicate_policy, // How repeat scans of a badge are treated, see DuplicatePolicy
+            reentry_minutes: reentry_minutes,
+            grace_minutes: grace_minutes, // Punctuality: late after this many minutes past the start, see Punctuality
+            early_minutes: early_minutes, // Check-ins this long before the start count as early rather than outside
+            created_at: Date.now()
+        };
+        this.validate(session);
+        this.sessions.push(session);
+        this.save();
+        return session;
+    }
+
+    update(sessionId, changes) {
+        const session = this.get(sessionId);
+        if (!session) {
+            throw new Error('Session not found');
+        }
+
+        const updated = { ...session, ...changes, name: (changes.name || session.name).trim() };
+        this.validate(updated);
+        Object.assign(session, updated);
+        this.save();
+        return session;
+    }
+
+    validate(session) {
+        if (!session.name) {
+            throw new Error('Session name is required');
+        }
+        if (session.starts_at && session.ends_at && new Date(session.ends_at) <= new Date(session.starts_at)) {
+            throw new Error('Session must end after it starts');
+        }
+        DuplicatePolicy.validate(session);
+        Punctuality.validate(session);
+    }
+
+    setActive(sessionId) {
+        if (!this.get(sessionId)) {
+            throw new Error('Session not found');
+        }
+        this.activeId = sessionId;
+        localStorage.setItem(this.activeKey, sessionId);
+        return this.active;
+    }
+
+    sessionIdOf(record) {
+        return record.session_id || SessionManager.DEFAULT_SESSION_ID;
+    }
+
+    filterRecords(records, sessionId = this.activeId) {
+        return records.filter(record => this.sessionIdOf(record) === sessionId);
+    }
+
+    formatSchedule(session) {
+        if (!session || !session.starts_at) {
+            return 'Unscheduled';
+        }
+        const start = new Date(session.starts_at);
+        if (!session.ends_at) {
+            return start.toLocaleString();
+        }
+        const end = new Date(session.ends_at);
+        const endLabel = end.toDateString() === start.toDateString() ? end.toLocaleTimeString() : end.toLocaleString();
+        return `${start.toLocaleString()} – ${endLabel}`;
+    }
+
+    fileSlug(session) {
+        return (session ? session.name : 'session').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'session';
+    }
+}
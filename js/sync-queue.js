@@ -0,0 +1,167 @@
+class SyncQueue {
+    constructor({ storageKey = 'qr_sync_outbox', maxAttempts = 8, baseDelay = 2000, maxDelay = 5 * 60 * 1000 } = {}) {
+        this.storageKey = storageKey;
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.flushing = false;
+        this.onChange = null; // Called with counts() whenever the queue changes
+        this.operations = this.load();
+    }
+
+    get size() {
+        return this.operations.length;
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error reading sync outbox:', error);
+            return [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.operations));
+        if (this.onChange) {
+            this.onChange(this.counts());
+        }
+    }
+
+    counts() {
+        return {
+            pending: this.operations.filter(op => op.status === 'pending').length,
+            failed: this.operations.filter(op => op.status === 'failed').length
+        };
+    }
+
+    createOperation(type, recordId, payload = null) {
+        return {
+            id: 'op_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6),
+            type: type,
+            record_id: recordId,
+            payload: payload,
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: Date.now(),
+            last_error: null,
+            queued_at: Date.now()
+        };
+    }
+
+    enqueueCreate(record) {
+        // One create per record id, so a re-queued record is never written twice
+        this.operations = this.operations.filter(op => !(op.type === 'create' && op.record_id === record.id));
+        this.operations.push(this.createOperation('create', record.id, record));
+        this.save();
+    }
+
+    enqueueDelete(recordId) {
+        if (this.cancelCreate(recordId)) {
+            return;
+        }
+        if (!this.operations.some(op => op.type === 'delete' && op.record_id === recordId)) {
+            this.operations.push(this.createOperation('delete', recordId));
+            this.save();
+        }
+    }
+
+    enqueueUpdate(recordId, changes) {
+        // Fold the change into a queued create or update for the same record when there is one
+        const queued = this.operations.find(op => (op.type === 'create' || op.type === 'update') && op.record_id === recordId && op.status === 'pending');
+        if (queued) {
+            queued.payload = { ...queued.payload, ...changes };
+        } else {
+            this.operations.push(this.createOperation('update', recordId, changes));
+        }
+        this.save();
+    }
+
+    amendCreate(recordId, changes) {
+        // Records that never reached the server only need their queued create changed
+        const create = this.operations.find(op => op.type === 'create' && op.record_id === recordId);
+        if (!create) {
+            return false;
+        }
+        create.payload = { ...create.payload, ...changes };
+        this.save();
+        return true;
+    }
+
+    cancelCreate(recordId) {
+        // A record whose create never reached the server needs no delete either
+        const before = this.operations.length;
+        this.operations = this.operations.filter(op => !(op.type === 'create' && op.record_id === recordId));
+        if (this.operations.length !== before) {
+            this.save();
+            return true;
+        }
+        return false;
+    }
+
+    retryFailed() {
+        this.operations.forEach(op => {
+            if (op.status === 'failed') {
+                op.status = 'pending';
+                op.attempts = 0;
+                op.next_attempt_at = Date.now();
+            }
+        });
+        this.save();
+    }
+
+    heldByFailure(op, index) {
+        // A record's later operations wait behind its failed one (until retryFailed) instead of overtaking it
+        return this.operations.slice(0, index).some(earlier => earlier.status === 'failed' && earlier.record_id === op.record_id);
+    }
+
+    backoffDelay(attempts) {
+        // Exponential backoff with a little jitter so several devices don't retry in lockstep
+        const delay = Math.min(this.baseDelay * Math.pow(2, attempts - 1), this.maxDelay);
+        return delay + Math.floor(Math.random() * 1000);
+    }
+
+    async flush(send) {
+        if (this.flushing) {
+            return { synced: 0, remaining: this.size };
+        }
+
+        this.flushing = true;
+        let synced = 0;
+
+        try {
+            // Operations run in queue order; stop at the first failure so a delete never overtakes its create
+            while (true) {
+                const op = this.operations.find((candidate, index) => candidate.status === 'pending' && !this.heldByFailure(candidate, index));
+                if (!op || op.next_attempt_at > Date.now()) {
+                    break;
+                }
+
+                try {
+                    await send(op);
+                    this.operations = this.operations.filter(candidate => candidate.id !== op.id);
+                    synced++;
+                    this.save();
+                } catch (error) {
+                    op.attempts++;
+                    op.last_error = error.message;
+                    if (op.attempts >= this.maxAttempts) {
+                        op.status = 'failed';
+                        console.error(`Sync ${op.type} for ${op.record_id} failed after ${op.attempts} attempts:`, error.message);
+                    } else {
+                        op.next_attempt_at = Date.now() + this.backoffDelay(op.attempts);
+                        console.log(`Sync ${op.type} for ${op.record_id} failed, retrying later:`, error.message);
+                    }
+                    this.save();
+                    break;
+                }
+            }
+        } finally {
+            this.flushing = false;
+        }
+
+        return { synced: synced, remaining: this.size };
+    }
+}
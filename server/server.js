@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+// Local reference server: serves the scanner and implements the tables/{table} REST API it talks to.
+// Node built-ins only, so it runs anywhere Node 18+ is installed:
+//
+//     node server/server.js                      # http://localhost:8080
+//     PORT=3000 DATA_DIR=/var/lib/islf node server/server.js
+//
+// Each table is kept in memory and saved to DATA_DIR/<table>.json after every change.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = parseInt(process.env.PORT || '8080', 10);
+const HOST = process.env.HOST || '0.0.0.0';
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_BODY_BYTES = 1024 * 1024;
+const KEEPALIVE_MS = 25000; // Comment lines that keep proxies from closing idle event streams
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.csv': 'text/csv; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class JsonTable {
+    constructor(name, file) {
+        this.name = name;
+        this.file = file;
+        this.records = new Map();
+        this.subscribers = new Set(); // Open event-stream responses
+        this.saving = Promise.resolve();
+        this.load();
+    }
+
+    load() {
+        try {
+            const rows = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            rows.forEach(row => this.records.set(row.id, row));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Cannot read ${this.file}: ${error.message}`);
+            }
+        }
+    }
+
+    save() {
+        // Writes are chained so they never interleave, and go through a temp file so a crash can't truncate the table
+        const snapshot = JSON.stringify([...this.records.values()], null, 2);
+        this.saving = this.saving.then(async () => {
+            const temp = `${this.file}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.promises.writeFile(temp, snapshot);
+            await fs.promises.rename(temp, this.file);
+        }).catch(error => console.error(`Error saving ${this.file}:`, error));
+        return this.saving;
+    }
+
+    list({ page = 1, limit = DEFAULT_LIMIT, sort = '', search = '', since = null }) {
+        let rows = [...this.records.values()];
+
+        if (since !== null) {
+            rows = rows.filter(row => (row.updated_at || 0) > since);
+        }
+        if (search) {
+            const needle = search.toLowerCase();
+            rows = rows.filter(row => Object.values(row).some(value =>
+                typeof value === 'string' && value.toLowerCase().includes(needle)
+            ));
+        }
+        if (sort) {
+            // "field" sorts ascending, "-field" descending; missing values go last either way
+            const descending = sort.startsWith('-');
+            const field = descending ? sort.slice(1) : sort;
+            rows.sort((a, b) => {
+                const left = a[field];
+                const right = b[field];
+                if (left === undefined || left === null || right === undefined || right === null) {
+                    return (left === undefined || left === null) - (right === undefined || right === null);
+                }
+                const order = left < right ? -1 : (left > right ? 1 : 0);
+                return descending ? -order : order;
+            });
+        }
+
+        const offset = (page - 1) * limit;
+        return { data: rows.slice(offset, offset + limit), total: rows.length, page: page, limit: limit, table: this.name };
+    }
+
+    get(id) {
+        const record = this.records.get(id);
+        if (!record) {
+            throw new HttpError(404, `Record ${id} not found`);
+        }
+        return record;
+    }
+
+    create(body) {
+        // Clients choose their own ids so offline records keep them; the server only fills in missing ones
+        const id = body.id ? String(body.id) : crypto.randomUUID();
+        if (this.records.has(id)) {
+            throw new HttpError(409, `Record ${id} already exists`);
+        }
+        const now = Date.now();
+        const record = { ...body, id: id, created_at: body.created_at || now, updated_at: now };
+        this.records.set(id, record);
+        this.changed('create', record);
+        return record;
+    }
+
+    replace(id, body) {
+        const existing = this.get(id);
+        const record = { ...body, id: id, created_at: existing.created_at, updated_at: Date.now() };
+        this.records.set(id, record);
+        this.changed('update', record);
+        return record;
+    }
+
+    patch(id, changes) {
+        const record = { ...this.get(id), ...changes, id: id, updated_at: Date.now() };
+        this.records.set(id, record);
+        this.changed('update', record);
+        return record;
+    }
+
+    remove(id) {
+        const record = this.get(id);
+        this.records.delete(id);
+        this.changed('delete', record);
+        return record;
+    }
+
+    patchMany(ids, changes) {
+        // One save and one event for the whole batch; ids that don't exist are reported, not fatal
+        const now = Date.now();
+        const updated = [];
+        const missing = [];
+        ids.forEach(id => {
+            const existing = this.records.get(id);
+            if (!existing) {
+                missing.push(id);
+                return;
+            }
+            this.records.set(id, { ...existing, ...changes, id: id, updated_at: now });
+            updated.push(id);
+        });
+        if (updated.length > 0) {
+            this.changedMany('bulk_update', updated);
+        }
+        return { updated: updated, missing: missing };
+    }
+
+    removeMany(ids) {
+        const deleted = [];
+        const missing = [];
+        ids.forEach(id => (this.records.delete(id) ? deleted : missing).push(id));
+        if (deleted.length > 0) {
+            this.changedMany('bulk_delete', deleted);
+        }
+        return { deleted: deleted, missing: missing };
+    }
+
+    changed(type, record) {
+        // updated_at is always the server's clock, so "since" cursors work across devices with skewed clocks
+        this.save();
+        this.broadcast({ type: type, table: this.name, record: record });
+    }
+
+    changedMany(type, ids) {
+        this.save();
+        this.broadcast({ type: type, table: this.name, ids: ids });
+    }
+
+    broadcast(event) {
+        const message = `data: ${JSON.stringify(event)}\n\n`;
+        this.subscribers.forEach(response => response.write(message));
+    }
+
+    subscribe(request, response) {
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        response.write(': connected\n\n');
+        this.subscribers.add(response);
+
+        const keepalive = setInterval(() => response.write(': keepalive\n\n'), KEEPALIVE_MS);
+        request.on('close', () => {
+            clearInterval(keepalive);
+            this.subscribers.delete(response);
+        });
+    }
+}
+
+const tables = new Map();
+
+function tableFor(name) {
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+        throw new HttpError(400, `Invalid table name "${name}"`);
+    }
+    if (!tables.has(name)) {
+        tables.set(name, new JsonTable(name, path.join(DATA_DIR, `${name}.json`)));
+    }
+    return tables.get(name);
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Stop reading but keep the socket open until the 413 has been sent (see handleRequest)
+                request.removeAllListeners('data');
+                request.pause();
+                reject(new HttpError(413, 'Request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new Error('expected a JSON object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function bulkIds(body) {
+    const ids = body.ids;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_LIMIT) {
+        throw new HttpError(400, `"ids" must be an array of 1 to ${MAX_LIMIT} record ids`);
+    }
+    return ids.map(String);
+}
+
+function decodePath(value) {
+    // Malformed escapes such as "%E0%A4%A" are the client's fault, not a server error
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL');
+    }
+}
+
+function positiveInt(value, fallback, max = Infinity) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? Math.min(number, max) : fallback;
+}
+
+async function handleApi(request, response, url, segments) {
+    // segments: [table] or [table, id]; "stream" is the live change feed
+    const [name, rawId] = segments;
+    const table = tableFor(name);
+    const id = rawId === undefined ? null : decodePath(rawId);
+
+    if (id === 'stream' && request.method === 'GET') {
+        table.subscribe(request, response);
+        return;
+    }
+
+    if (id === null) {
+        if (request.method === 'GET') {
+            const params = url.searchParams;
+            const since = params.has('since') ? Number(params.get('since')) : null;
+            sendJson(response, 200, table.list({
+                page: positiveInt(params.get('page'), 1),
+                limit: positiveInt(params.get('limit'), DEFAULT_LIMIT, MAX_LIMIT),
+                sort: params.get('sort') || '',
+                search: params.get('search') || '',
+                since: Number.isFinite(since) ? since : null
+            }));
+        } else if (request.method === 'POST') {
+            sendJson(response, 201, table.create(await readBody(request)));
+        } else if (request.method === 'PATCH') {
+            // Bulk update: { ids, changes } -> { updated, missing }
+            const body = await readBody(request);
+            if (!body.changes || typeof body.changes !== 'object' || Array.isArray(body.changes)) {
+                throw new HttpError(400, '"changes" must be an object');
+            }
+            sendJson(response, 200, table.patchMany(bulkIds(body), body.changes));
+        } else if (request.method === 'DELETE') {
+            // Bulk delete: { ids } -> { deleted, missing }
+            sendJson(response, 200, table.removeMany(bulkIds(await readBody(request))));
+        } else if (request.method === 'OPTIONS') {
+            // Clients only send the bulk requests above to servers that advertise them here
+            response.writeHead(204, { Allow: 'GET, POST, PATCH, DELETE, OPTIONS', 'X-Bulk-Operations': 'update, delete' });
+            response.end();
+        } else {
+            throw new HttpError(405, `${request.method} is not supported on a table`);
+        }
+        return;
+    }
+
+    if (request.method === 'GET') {
+        sendJson(response, 200, table.get(id));
+    } else if (request.method === 'PUT') {
+        sendJson(response, 200, table.replace(id, await readBody(request)));
+    } else if (request.method === 'PATCH') {
+        sendJson(response, 200, table.patch(id, await readBody(request)));
+    } else if (request.method === 'DELETE') {
+        table.remove(id);
+        response.writeHead(204);
+        response.end();
+    } else {
+        throw new HttpError(405, `${request.method} is not supported on a record`);
+    }
+}
+
+async function serveStatic(request, response, url) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        throw new HttpError(405, `${request.method} is not supported here`);
+    }
+
+    const relative = decodePath(url.pathname).replace(/^\/+/, '') || 'index.html';
+    const file = path.resolve(ROOT, relative);
+    // Stay inside the app folder, and never hand out the server itself, its data or dotfiles (.git)
+    const blocked = !file.startsWith(ROOT + path.sep)
+        || file.startsWith(path.join(ROOT, 'server') + path.sep)
+        || file.startsWith(DATA_DIR + path.sep)
+        || relative.split('/').some(part => part.startsWith('.'));
+    if (blocked) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    let stat;
+    try {
+        stat = await fs.promises.stat(file);
+    } catch (error) {
+        throw new HttpError(404, 'Not found');
+    }
+    if (stat.isDirectory()) {
+        return serveStatic(request, response, new URL(`${url.pathname.replace(/\/?$/, '/')}index.html`, url));
+    }
+
+    response.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': stat.size,
+        // sw.js must be re-checked on every load so new versions are noticed
+        'Cache-Control': path.basename(file) === 'sw.js' ? 'no-cache' : 'public, max-age=0'
+    });
+    if (request.method === 'HEAD') {
+        response.end();
+        return;
+    }
+    fs.createReadStream(file).pipe(response);
+}
+
+async function handleRequest(request, response) {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    try {
+        if (segments[0] === 'tables' && segments.length >= 2 && segments.length <= 3) {
+            await handleApi(request, response, url, segments.slice(1));
+        } else {
+            await serveStatic(request, response, url);
+        }
+    } catch (error) {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) {
+            console.error(`${request.method} ${request.url} failed:`, error);
+        }
+        if (status === 413) {
+            // The rest of the oversized body is never read, so the connection can't be reused
+            response.setHeader('Connection', 'close');
+        }
+        if (!response.headersSent) {
+            sendJson(response, status, { error: error.message });
+        } else {
+            response.end();
+        }
+    }
+}
+
+if (require.main === module) {
+    http.createServer(handleRequest).listen(PORT, HOST, () => {
+        console.log(`ISLF attendance server on http://localhost:${PORT} (data in ${DATA_DIR})`);
+    });
+}
+
+module.exports = { handleRequest, JsonTable, HttpError };
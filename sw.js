@@ -0,0 +1,141 @@
+// Service worker: keeps the scanner loadable when venue Wi-Fi drops.
+// Bump CACHE_VERSION whenever any precached file changes - open pages are then told a new version is ready.
+const CACHE_VERSION = 'v10';
+const SHELL_CACHE = `islf-attendance-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = 'islf-attendance-runtime';
+
+// Everything the scanner needs to start; installation fails if any of these can't be fetched
+const APP_SHELL = [
+    './',
+    'index.html',
+    'badges.html',
+    'manifest.json',
+    'css/styles.css',
+    'css/badges.css',
+    'images/islf-header.png',
+    'images/icon-192.png',
+    'images/icon-512.png',
+    'js/registry.js',
+    'js/duplicate-policy.js',
+    'js/punctuality.js',
+    'js/sessions.js',
+    'js/sync-queue.js',
+    'js/local-store.js',
+    'js/presence.js',
+    'js/badge-security.js',
+    'js/payload-parser.js',
+    'js/barcode-decoder.js',
+    'js/camera.js',
+    'js/decoder-worker.js',
+    'js/frame-scanner.js',
+    'js/image-scanner.js',
+    'js/live-sync.js',
+    'js/dashboard.js',
+    'js/exporters.js',
+    'js/backup.js',
+    'js/audit-log.js',
+    'js/manual-checkin.js',
+    'js/kiosk.js',
+    'js/attendance-table.js',
+    'js/bulk-writer.js',
+    'js/pwa.js',
+    'js/scanner.js',
+    'js/badges.js',
+    'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js' // The decoder: without it nothing scans
+];
+
+// Styling, charts and exports; cached when reachable, but a blocked CDN doesn't stop installation
+const OPTIONAL_ASSETS = [
+    'https://cdn.tailwindcss.com',
+    'https://cdn.jsdelivr.net/npm/@fortawesome/fontawesome-free@6.4.0/css/all.min.css',
+    'https://cdn.jsdelivr.net/npm/@fortawesome/fontawesome-free@6.4.0/webfonts/fa-solid-900.woff2',
+    'https://cdn.jsdelivr.net/npm/@fortawesome/fontawesome-free@6.4.0/webfonts/fa-regular-400.woff2',
+    'https://cdn.jsdelivr.net/npm/@fortawesome/fontawesome-free@6.4.0/webfonts/fa-brands-400.woff2',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js',
+    'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
+    'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.js',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
+];
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting here: a new version waits until the user accepts the update notice
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(APP_SHELL);
+        await Promise.all(OPTIONAL_ASSETS.map(url => cache.add(url).catch(error => {
+            console.log('Optional asset not cached:', url, error.message);
+        })));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('islf-attendance-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Writes, the Table API and its live stream always go to the network; the app has its own offline queue
+    if (request.method !== 'GET' || !url.protocol.startsWith('http') || (url.origin === self.location.origin && url.pathname.includes('/tables/'))) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(navigate(request));
+        return;
+    }
+    event.respondWith(cacheFirst(request));
+});
+
+async function navigate(request) {
+    // Pages come from the cache so a reload works offline; the shell cache is refreshed by new versions
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+    try {
+        return await fetch(request);
+    } catch (error) {
+        return caches.match('index.html');
+    }
+}
+
+async function cacheFirst(request) {
+    const shell = await caches.open(SHELL_CACHE);
+    const cached = await shell.match(request, { ignoreSearch: new URL(request.url).origin === self.location.origin });
+    if (cached) {
+        return cached;
+    }
+    return staleWhileRevalidate(request);
+}
+
+async function staleWhileRevalidate(request) {
+    // Anything not precached (web font files, other assets) is answered from the last copy and refreshed behind it
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const refresh = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        refresh.catch(() => {}); // Offline: the cached copy is all there is
+        return cached;
+    }
+    return refresh;
+}